@@ -13,17 +13,88 @@ export const ExtensionConstants = {
     SETTING_MOVE_WHEN_MAXIMIZED: 'move-window-when-maximized',
     SETTING_TRIGGER_ON_MAXIMIZE: 'trigger-on-maximize',
     SETTING_TRIGGER_ON_FULLSCREEN: 'trigger-on-fullscreen',
+    SETTING_TRIGGER_ON_TILING: 'trigger-on-tiling',
+    SETTING_TRIGGER_COVERAGE_PERCENT: 'trigger-coverage-percent',
+    SETTING_SETTLE_DELAY: 'settle-delay',
+    SETTING_ISOLATE_ON_ENABLE: 'isolate-on-enable',
+    SETTING_RETURN_HOME_ON_DISABLE: 'return-home-on-disable',
     SETTING_OVERRIDE_MODIFIER: 'override-modifier',
     SETTING_DISABLE_ON_EXTERNAL_MONITOR: 'disable-on-external-monitor',
     SETTING_TRIGGERS_MIGRATED: 'triggers-migrated',
     SETTING_FILTER_MODE: 'filter-mode',
     SETTING_BLACKLIST_APPS: 'blacklist-apps',
     SETTING_WHITELIST_APPS: 'whitelist-apps',
+    SETTING_BLACKLIST_PATTERNS: 'blacklist-patterns',
+    SETTING_WHITELIST_PATTERNS: 'whitelist-patterns',
+    SETTING_PLACEMENT_STRATEGY: 'placement-strategy',
+    SETTING_MAX_CREATED_WORKSPACES: 'max-created-workspaces',
+    SETTING_SHORTCUT_ISOLATE: 'isolate-focused-window',
+    SETTING_SHORTCUT_RETURN: 'return-focused-window',
+    SETTING_SHORTCUT_TOGGLE_WORKSPACE: 'toggle-isolated-workspace',
+    SETTING_APP_RULES: 'app-rules',
+    SETTING_SHOW_PANEL_INDICATOR: 'show-panel-indicator',
+    SETTING_SHOW_UNDO_NOTIFICATION: 'show-undo-notification',
+    SETTING_MANUAL_MOVE_POLICY: 'manual-move-policy',
+    SETTING_NEW_WINDOW_POLICY: 'new-window-policy',
+    SETTING_ISOLATION_GROUPS: 'isolation-groups',
+    SETTING_FILTER_CHANGE_ACTION: 'filter-change-action',
+    SETTING_KNOWN_MONITORS: 'known-monitors',
+    SETTING_MONITOR_POLICIES: 'monitor-policies',
+    SETTING_ISOLATE_MONITOR_ONLY: 'isolate-monitor-only',
+    SETTING_NAME_ISOLATED_WORKSPACES: 'name-isolated-workspaces',
+    
+    // Per-app rule fields and values
+    RULE_TRIGGER: 'trigger',
+    RULE_PLACEMENT: 'placement',
+    RULE_NEW_WINDOWS: 'new-windows',
+    RULE_DEFAULT: 'default',
+    TRIGGER_MAXIMIZE: 'maximize',
+    TRIGGER_FULLSCREEN: 'fullscreen',
+    TRIGGER_BOTH: 'both',
+    TRIGGER_NEVER: 'never',
+    
+    // Additional reasons a window was isolated
+    TRIGGER_TILING: 'tiling',
+    TRIGGER_COVERAGE: 'coverage',
+    TRIGGER_MANUAL: 'manual',
+    
+    // Window pattern rule fields and syntaxes
+    PATTERN_FIELD_APP_ID: 'app-id',
+    PATTERN_FIELD_WM_CLASS: 'wm-class',
+    PATTERN_FIELD_WM_CLASS_INSTANCE: 'wm-class-instance',
+    PATTERN_FIELD_TITLE: 'title',
+    PATTERN_SYNTAX_GLOB: 'glob',
+    PATTERN_SYNTAX_REGEX: 'regex',
+    
+    // Placement strategies
+    PLACEMENT_FIRST_FREE: 'first-free',
+    PLACEMENT_ADJACENT: 'adjacent',
+    PLACEMENT_APPEND: 'append',
+    
+    // Reactions to the user moving an isolated window
+    MANUAL_MOVE_FOLLOW: 'follow',
+    MANUAL_MOVE_FORGET: 'forget',
+    
+    // Where new windows of an already isolated app open
+    NEW_WINDOW_SEPARATE: 'separate',
+    NEW_WINDOW_BESIDE: 'beside',
+    NEW_WINDOW_HOME: 'home',
+    
+    // What to do with open windows after filter or trigger settings change
+    FILTER_CHANGE_ASK: 'ask',
+    FILTER_CHANGE_APPLY: 'apply',
+    FILTER_CHANGE_IGNORE: 'ignore',
+    FILTER_REVIEW_DELAY_MS: 1000,
+    
+    // Per-monitor management rules
+    MONITOR_POLICY_MANAGE: 'manage',
+    MONITOR_POLICY_IGNORE: 'ignore',
+    MONITOR_MATCH_MODEL: 'model:',
+    MONITOR_MATCH_CONNECTOR: 'connector:',
     
     // Window placement markers
     MARKER_REORDER: 'reorder',
     MARKER_PLACE: 'place',
-    MARKER_BACK: 'back',
     
     // Window manager signal names
     SIGNAL_MAP: 'map',
@@ -33,13 +104,46 @@ export const ExtensionConstants = {
     SIGNAL_SIZE_CHANGE: 'size-change',
     SIGNAL_SIZE_CHANGED: 'size-changed',
     SIGNAL_SWITCH_WORKSPACE: 'switch-workspace',
+    SIGNAL_WORKSPACE_CHANGED: 'workspace-changed',
+    SIGNAL_WINDOW_ENTERED_MONITOR: 'window-entered-monitor',
+    SIGNAL_GRAB_OP_BEGIN: 'grab-op-begin',
+    SIGNAL_GRAB_OP_END: 'grab-op-end',
+    SIGNAL_NOTIFY_MAXIMIZED_HORIZONTALLY: 'notify::maximized-horizontally',
+    SIGNAL_NOTIFY_MAXIMIZED_VERTICALLY: 'notify::maximized-vertically',
+    SIGNAL_NOTIFY_FULLSCREEN: 'notify::fullscreen',
+    
+    // Workspace manager signal names
+    SIGNAL_WORKSPACE_ADDED: 'workspace-added',
+    SIGNAL_WORKSPACE_REMOVED: 'workspace-removed',
+    SIGNAL_WORKSPACES_REORDERED: 'workspaces-reordered',
+    
+    // Monitor manager signal names
+    SIGNAL_MONITORS_CHANGED: 'monitors-changed',
+    
+    // Internal event names
+    EVENT_WINDOW_PLACED: 'window-placed',
+    EVENT_WINDOW_RETURNED: 'window-returned',
+    EVENT_WINDOW_STATE_CHANGED: 'window-state-changed',
+    EVENT_WINDOW_FORGOTTEN: 'window-forgotten',
+    EVENT_PAUSE_CHANGED: 'changed',
+    EVENT_FILTER_CHANGED: 'filter-changed',
+    EVENT_FILTER_REVIEW: 'filter-review',
+    
+    // D-Bus control interface
+    DBUS_INTERFACE: 'org.gnome.Shell.Extensions.ScreenToSpace',
+    DBUS_OBJECT_PATH: '/org/gnome/Shell/Extensions/ScreenToSpace',
     
     // GSettings schema IDs
     SCHEMA_MUTTER: 'org.gnome.mutter',
+    SCHEMA_WM_PREFERENCES: 'org.gnome.desktop.wm.preferences',
     SCHEMA_SCREENTOSPACE: 'org.gnome.shell.extensions.screentospace',
     
     // Settings keys (mutter)
     SETTING_WORKSPACES_ONLY_PRIMARY: 'workspaces-only-on-primary',
+    SETTING_DYNAMIC_WORKSPACES: 'dynamic-workspaces',
+    
+    // Settings keys (window manager preferences)
+    SETTING_WORKSPACE_NAMES: 'workspace-names',
     
     // Extension metadata
     NAME: 'ScreenToSpace',
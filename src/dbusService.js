@@ -0,0 +1,156 @@
+/**
+ * ScreenToSpace - D-Bus Service
+ * 
+ * Exposes a session D-Bus object so scripts can drive and observe the
+ * extension without faking maximize events.
+ * 
+ * The object lives on GNOME Shell's own connection, e.g.:
+ *   gdbus call --session --dest org.gnome.Shell \
+ *     --object-path /org/gnome/Shell/Extensions/ScreenToSpace \
+ *     --method org.gnome.Shell.Extensions.ScreenToSpace.IsolateFocusedWindow
+ * 
+ * @author DilZhaan
+ * @license GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import { ExtensionConstants } from './constants.js';
+
+const INTERFACE_XML = `
+<node>
+  <interface name="${ExtensionConstants.DBUS_INTERFACE}">
+    <method name="IsolateFocusedWindow">
+      <arg type="b" direction="out" name="isolated"/>
+    </method>
+    <method name="ReturnFocusedWindow">
+      <arg type="b" direction="out" name="returned"/>
+    </method>
+    <method name="ReturnWindow">
+      <arg type="t" direction="in" name="windowId"/>
+      <arg type="b" direction="out" name="returned"/>
+    </method>
+    <method name="ReturnAllWindows">
+      <arg type="u" direction="out" name="count"/>
+    </method>
+    <method name="ListPlacedWindows">
+      <arg type="a(tsii)" direction="out" name="windows"/>
+    </method>
+    <method name="Pause"/>
+    <method name="Resume"/>
+    <property name="Paused" type="b" access="read"/>
+    <signal name="WindowPlaced">
+      <arg type="t" name="windowId"/>
+      <arg type="i" name="homeWorkspace"/>
+      <arg type="i" name="workspace"/>
+    </signal>
+    <signal name="WindowReturned">
+      <arg type="t" name="windowId"/>
+      <arg type="i" name="homeWorkspace"/>
+    </signal>
+    <signal name="WindowForgotten">
+      <arg type="t" name="windowId"/>
+    </signal>
+  </interface>
+</node>`;
+
+/**
+ * Session D-Bus control interface
+ */
+export class DBusService {
+    constructor(eventHandler, placementHandler, pauseController) {
+        this._eventHandler = eventHandler;
+        this._placementHandler = placementHandler;
+        this._pauseController = pauseController;
+
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        this._dbusImpl.export(Gio.DBus.session, ExtensionConstants.DBUS_OBJECT_PATH);
+
+        this._signalHandles = [
+            [this._placementHandler, this._placementHandler.connect(ExtensionConstants.EVENT_WINDOW_PLACED,
+                (_, window, placedInfo) => this._emitWindowPlaced(window, placedInfo))],
+            [this._placementHandler, this._placementHandler.connect(ExtensionConstants.EVENT_WINDOW_RETURNED,
+                (_, window, placedInfo) => this._emitWindowReturned(window, placedInfo))],
+            [this._placementHandler, this._placementHandler.connect(ExtensionConstants.EVENT_WINDOW_FORGOTTEN,
+                (_, window) => this._emitWindowForgotten(window))],
+            [this._pauseController, this._pauseController.connect(ExtensionConstants.EVENT_PAUSE_CHANGED,
+                (_, paused) => this._dbusImpl.emit_property_changed('Paused', GLib.Variant.new_boolean(paused)))],
+        ];
+    }
+
+    IsolateFocusedWindow() {
+        const window = global.display.focus_window;
+        return window ? this._eventHandler.isolateWindow(window) : false;
+    }
+
+    ReturnFocusedWindow() {
+        const window = global.display.focus_window;
+        return window ? this._eventHandler.returnWindow(window) : false;
+    }
+
+    ReturnWindow(windowId) {
+        const placed = this._placementHandler.getPlacedWindows()
+            .find(placedInfo => placedInfo.window.get_id() === windowId);
+
+        return placed ? this._eventHandler.returnWindow(placed.window) : false;
+    }
+
+    ReturnAllWindows() {
+        return this._placementHandler.returnAllWindows();
+    }
+
+    ListPlacedWindows() {
+        return this._placementHandler.getPlacedWindows().map(placedInfo => [
+            placedInfo.window.get_id(),
+            placedInfo.window.get_title() ?? '',
+            placedInfo.homeWorkspaceIndex,
+            placedInfo.window.get_workspace()?.index() ?? -1,
+        ]);
+    }
+
+    Pause() {
+        this._pauseController.pause();
+    }
+
+    Resume() {
+        this._pauseController.resume();
+    }
+
+    get Paused() {
+        return this._pauseController.isPaused();
+    }
+
+    _emitWindowPlaced(window, placedInfo) {
+        this._dbusImpl.emit_signal('WindowPlaced', new GLib.Variant('(tii)', [
+            window.get_id(),
+            placedInfo.homeWorkspaceIndex,
+            window.get_workspace()?.index() ?? -1,
+        ]));
+    }
+
+    _emitWindowReturned(window, placedInfo) {
+        this._dbusImpl.emit_signal('WindowReturned', new GLib.Variant('(ti)', [
+            window.get_id(),
+            placedInfo.homeWorkspaceIndex,
+        ]));
+    }
+
+    _emitWindowForgotten(window) {
+        this._dbusImpl.emit_signal('WindowForgotten', new GLib.Variant('(t)', [
+            window.get_id(),
+        ]));
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this._signalHandles.forEach(([emitter, handle]) => emitter.disconnect(handle));
+        this._signalHandles = [];
+        this._dbusImpl.unexport();
+        this._dbusImpl = null;
+        this._eventHandler = null;
+        this._placementHandler = null;
+        this._pauseController = null;
+    }
+}
@@ -12,17 +12,39 @@ import { ExtensionConstants } from './constants.js';
 import Meta from 'gi://Meta';
 import Clutter from 'gi://Clutter';
 import GLib from 'gi://GLib';
+import { EventEmitter } from 'resource:///org/gnome/shell/misc/signals.js';
 
 /**
  * Handles window manager events
+ * 
+ * Emits 'filter-review' with the pending changes when filter settings
+ * changed and the user should be asked before applying them.
  */
-export class WindowEventHandler {
-    constructor(windowFilter, placementHandler, settings) {
+export class WindowEventHandler extends EventEmitter {
+    constructor(windowFilter, placementHandler, settings, pauseController, monitorPolicy) {
+        super();
+
         this._windowFilter = windowFilter;
         this._placementHandler = placementHandler;
         this._settings = settings;
+        this._pauseController = pauseController;
+        this._monitorPolicy = monitorPolicy;
         this._pendingActions = new Map();
+        this._pendingPlacements = new Map();
         this._pendingMapSourceIds = new Set();
+        this._grabbedWindows = new Set();
+        this._pendingStateChecks = new Set();
+        this._settleSourceIds = new Map();
+        this._filterReviewSourceId = 0;
+
+        this._placementSignals = [
+            placementHandler.connect(ExtensionConstants.EVENT_WINDOW_STATE_CHANGED,
+                (_, window) => this._queueStateCheck(window)),
+        ];
+        this._filterSignals = [
+            windowFilter.connect(ExtensionConstants.EVENT_FILTER_CHANGED,
+                () => this._queueFilterReview()),
+        ];
     }
 
     /**
@@ -35,7 +57,8 @@ export class WindowEventHandler {
             return;
         }
         
-        if (this._shouldBypassForExternalMonitor()) {
+        // Pause is checked later so dialogs still follow isolated parents
+        if (this._shouldBypassForMonitor(window)) {
             return;
         }
 
@@ -54,11 +77,9 @@ export class WindowEventHandler {
 
         const windowId = window.get_id();
         this._pendingActions.delete(windowId);
-
-        if (this._shouldBypassForExternalMonitor()) {
-            this._placementHandler.forgetWindow(window);
-            return;
-        }
+        this._pendingPlacements.delete(windowId);
+        this._grabbedWindows.delete(window);
+        this._cancelSettle(windowId);
 
         // Destroy can run while Mutter is unmanaging the window, so avoid
         // re-querying app/window state here. The placement handler only acts
@@ -76,12 +97,13 @@ export class WindowEventHandler {
             return;
         }
         
-        if (this._shouldBypassForExternalMonitor()) {
+        if (this._shouldBypassForMonitor(window) || this._isPaused()) {
             return;
         }
 
-        if (this._windowFilter.shouldPlaceOnNewWorkspace(window)) {
-            this._placementHandler.placeWindowOnWorkspace(window);
+        const trigger = this._windowFilter.getStateTrigger(window);
+        if (trigger) {
+            this._settlePlacement(window, { trigger });
         }
     }
 
@@ -95,15 +117,17 @@ export class WindowEventHandler {
             return;
         }
         
-        if (!this._windowFilter.isManagedWindow(window)) {
+        // Isolated windows go home even if they no longer match the filters
+        if (!this._windowFilter.isNormalWindow(window)) {
             return;
         }
 
-        if (this._shouldBypassForExternalMonitor()) {
+        if (this._shouldBypassForMonitor(window)) {
             this._placementHandler.forgetWindow(window);
             return;
         }
         
+        this._cancelSettle(window.get_id());
         this._placementHandler.returnWindowToOldWorkspace(window);
     }
 
@@ -121,21 +145,153 @@ export class WindowEventHandler {
 
         const windowId = window.get_id();
 
+        // Any further state change invalidates a move still waiting to settle
+        this._cancelSettle(windowId);
+
         if (this._shouldBypassForOverrideModifier(change)) {
             return;
         }
 
-        if (this._shouldBypassForExternalMonitor()) {
+        if (this._shouldBypassForMonitor(window)) {
             this._pendingActions.delete(windowId);
+            this._pendingPlacements.delete(windowId);
             this._placementHandler.forgetWindow(window);
             return;
         }
         
-        if (this._windowFilter.shouldPlaceOnSizeChange(window, change)) {
+        // Returns are driven by state changes of placed windows instead
+        const trigger = this._isPaused() ? null : this._windowFilter.getSizeChangeTrigger(window, change);
+        if (trigger) {
             this._pendingActions.set(windowId, ExtensionConstants.MARKER_PLACE);
-        } else if (this._windowFilter.shouldReturnOnSizeChange(window, change, oldRect)) {
-            this._pendingActions.set(windowId, ExtensionConstants.MARKER_BACK);
+            // Remember the pre-maximize frame so a return can restore it
+            this._pendingPlacements.set(windowId, { frameRect: oldRect, trigger });
+        }
+    }
+
+    /**
+     * Checks a placed window once its maximize/fullscreen flags settle;
+     * Mutter updates each flag separately, so the intermediate state is
+     * not meaningful
+     * @private
+     */
+    _queueStateCheck(window) {
+        const windowId = window.get_id();
+        if (this._pendingStateChecks.has(windowId)) {
+            return;
         }
+
+        this._pendingStateChecks.add(windowId);
+        this._queueIdle(() => {
+            this._pendingStateChecks.delete(windowId);
+
+            try {
+                this._checkStateReturn(window);
+            } catch (error) {
+                // Window may have been destroyed before the deferred check.
+            }
+        });
+    }
+
+    /**
+     * Returns a placed window that is no longer maximized/fullscreen/tiled
+     * the way its trigger requires; works while paused
+     * @private
+     * @param {Object} window - Meta window object
+     * @param {Object} [options] - Options passed on to the return
+     * @returns {boolean} Whether the window is being returned
+     */
+    _checkStateReturn(window, options = {}) {
+        // A drag-unmaximize is checked once the user drops the window
+        if (this._grabbedWindows.has(window) || !this._placementHandler.isWindowPlaced(window)) {
+            return false;
+        }
+
+        if (this._shouldBypassForMonitor(window)) {
+            this._placementHandler.forgetWindow(window);
+            return false;
+        }
+
+        const trigger = this._placementHandler.getPlacementTrigger(window);
+        if (!this._windowFilter.shouldReturnOnStateChange(window, trigger)) {
+            this._cancelSettle(window.get_id());
+            return false;
+        }
+
+        this._settle(window, () => {
+            if (!this._grabbedWindows.has(window) &&
+                this._placementHandler.isWindowPlaced(window) &&
+                this._windowFilter.shouldReturnOnStateChange(window, trigger)) {
+                this._placementHandler.returnWindowToOldWorkspace(window, options);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Isolates a window once it has kept a triggering state for the
+     * settle delay
+     * @private
+     * @param {Object} window - Meta window object
+     * @param {Object} options - Placement options passed to the placement handler
+     */
+    _settlePlacement(window, options) {
+        this._settle(window, () => {
+            if (this._isPaused() || this._placementHandler.isWindowPlaced(window)) {
+                return;
+            }
+
+            // Flickering windows may have dropped the state in the meantime
+            if (this._getSettleDelay() > 0 && !this._windowFilter.getStateTrigger(window)) {
+                return;
+            }
+
+            this._placementHandler.placeWindowOnWorkspace(window, options);
+        });
+    }
+
+    /**
+     * Runs a move for a window after the settle delay, replacing any
+     * move still pending for it; runs immediately when the delay is 0
+     * @private
+     */
+    _settle(window, callback) {
+        const windowId = window.get_id();
+        this._cancelSettle(windowId);
+
+        const delay = this._getSettleDelay();
+        if (delay <= 0) {
+            callback();
+            return;
+        }
+
+        const sourceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, delay, () => {
+            this._settleSourceIds.delete(windowId);
+
+            try {
+                callback();
+            } catch (error) {
+                // Window may have been destroyed while settling.
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+        this._settleSourceIds.set(windowId, sourceId);
+    }
+
+    _cancelSettle(windowId) {
+        const sourceId = this._settleSourceIds.get(windowId);
+        if (sourceId) {
+            GLib.source_remove(sourceId);
+            this._settleSourceIds.delete(windowId);
+        }
+    }
+
+    _getSettleDelay() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_SETTLE_DELAY)) {
+            return 0;
+        }
+
+        return this._settings.get_int(ExtensionConstants.SETTING_SETTLE_DELAY);
     }
 
     _shouldBypassForOverrideModifier(change) {
@@ -150,13 +306,18 @@ export class WindowEventHandler {
         this._queueIdle(() => {
             this._queueIdle(() => {
                 try {
-                    if (this._shouldBypassForExternalMonitor()) {
+                    if (this._shouldBypassForMonitor(window)) {
                         this._placementHandler.forgetWindow(window);
                         return;
                     }
 
-                    if (this._windowFilter.shouldPlaceOnNewWorkspace(window)) {
-                        this._placementHandler.placeWindowOnWorkspace(window);
+                    if (this._attachToPlacedParent(window) || this._isPaused()) {
+                        return;
+                    }
+
+                    const trigger = this._windowFilter.getStateTrigger(window);
+                    if (trigger) {
+                        this._settlePlacement(window, { trigger });
                     }
                 } catch (error) {
                     // Window may have been destroyed before the deferred map check.
@@ -165,6 +326,38 @@ export class WindowEventHandler {
         });
     }
 
+    /**
+     * Sends a new window where it belongs relative to an isolated window:
+     * dialogs join their parent, other windows of the app follow the
+     * new window policy
+     * @private
+     * @returns {boolean} Whether the window was handled
+     */
+    _attachToPlacedParent(window) {
+        const parent = this._placementHandler.findPlacedParent(window);
+        if (parent) {
+            return this._placementHandler.attachFollower(window, parent);
+        }
+
+        if (this._isPaused()) {
+            return false;
+        }
+
+        const policy = this._windowFilter.getNewWindowPolicy(window);
+        if (policy === ExtensionConstants.NEW_WINDOW_SEPARATE) {
+            return false;
+        }
+
+        const sibling = this._placementHandler.findPlacedSibling(window);
+        if (!sibling) {
+            return false;
+        }
+
+        return policy === ExtensionConstants.NEW_WINDOW_HOME
+            ? this._placementHandler.sendToHomeOf(window, sibling)
+            : this._placementHandler.attachFollower(window, sibling);
+    }
+
     _queueIdle(callback) {
         let sourceId = 0;
         sourceId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
@@ -182,7 +375,22 @@ export class WindowEventHandler {
         return sourceId;
     }
 
-    _shouldBypassForExternalMonitor() {
+    /**
+     * Checks whether the window's monitor is left to GNOME's default
+     * behavior, applying per-monitor rules over the external monitor switch
+     * @private
+     * @param {Object} window - Meta window object
+     * @returns {boolean}
+     */
+    _shouldBypassForMonitor(window) {
+        const policy = this._monitorPolicy?.getPolicy(window.get_monitor()) ?? null;
+        if (policy === ExtensionConstants.MONITOR_POLICY_MANAGE) {
+            return false;
+        }
+        if (policy === ExtensionConstants.MONITOR_POLICY_IGNORE) {
+            return true;
+        }
+
         const schema = this._settings?.settings_schema;
         if (!schema?.has_key?.(ExtensionConstants.SETTING_DISABLE_ON_EXTERNAL_MONITOR)) {
             return false;
@@ -195,6 +403,10 @@ export class WindowEventHandler {
         return global.display?.get_n_monitors?.() > 1;
     }
 
+    _isPaused() {
+        return this._pauseController?.isPaused() ?? false;
+    }
+
     _isOverrideModifierPressed() {
         const mask = this._getOverrideModifierMask();
         if (!mask) {
@@ -245,24 +457,267 @@ export class WindowEventHandler {
         const windowId = window.get_id();
         
         if (!this._pendingActions.has(windowId)) {
+            this._checkCoverage(window);
             return;
         }
 
         const action = this._pendingActions.get(windowId);
+        const placement = this._pendingPlacements.get(windowId);
         this._pendingActions.delete(windowId);
+        this._pendingPlacements.delete(windowId);
 
-        if (this._shouldBypassForExternalMonitor()) {
+        if (this._shouldBypassForMonitor(window)) {
             this._placementHandler.forgetWindow(window);
             return;
         }
 
-        if (action === ExtensionConstants.MARKER_PLACE) {
-            this._placementHandler.placeWindowOnWorkspace(window);
-        } else if (action === ExtensionConstants.MARKER_BACK) {
-            this._placementHandler.returnWindowToOldWorkspace(window);
+        if (action === ExtensionConstants.MARKER_PLACE && !this._isPaused()) {
+            this._settlePlacement(window, placement);
+        }
+    }
+
+    /**
+     * Handles the start of an interactive move or resize
+     * @param {Object} window - Meta window object being grabbed
+     */
+    onGrabOpBegin(window) {
+        if (window) {
+            this._grabbedWindows.add(window);
+        }
+    }
+
+    /**
+     * Handles the end of an interactive move or resize, checking the
+     * state and coverage triggers once against the final frame
+     * @param {Object} window - Meta window object that was grabbed
+     */
+    onGrabOpEnd(window) {
+        if (!window || !this._grabbedWindows.delete(window)) {
+            return;
+        }
+
+        if (this._pendingActions.has(window.get_id())) {
+            return;
+        }
+
+        // The user dropped the window where they want it, so keep that frame
+        if (this._checkStateReturn(window, { keepGeometry: true })) {
+            return;
+        }
+
+        this._checkCoverage(window);
+    }
+
+    /**
+     * Isolates or returns a window whose size changed without a maximize
+     * or fullscreen request, based on how much of the work area it covers
+     * @private
+     */
+    _checkCoverage(window) {
+        // Moving a window mid-drag would pull it out of the user's grab
+        if (this._grabbedWindows.has(window) || this._shouldBypassForMonitor(window)) {
+            return;
+        }
+
+        // Apps resizing themselves emit a stream of size changes; each one restarts the settle delay
+        if (!this._placementHandler.isWindowPlaced(window)) {
+            if (!this._isPaused() && this._windowFilter.shouldPlaceOnCoverage(window)) {
+                this._settlePlacement(window, {
+                    trigger: ExtensionConstants.TRIGGER_COVERAGE,
+                });
+            }
+            return;
+        }
+
+        if (this._placementHandler.getPlacementTrigger(window) === ExtensionConstants.TRIGGER_COVERAGE &&
+            this._windowFilter.shouldReturnOnCoverage(window)) {
+            this._settle(window, () => {
+                if (this._placementHandler.isWindowPlaced(window) &&
+                    this._windowFilter.shouldReturnOnCoverage(window)) {
+                    this._placementHandler.returnWindowToOldWorkspace(window);
+                }
+            });
         }
     }
 
+    /**
+     * Isolates windows that are already maximized or fullscreen, e.g. at
+     * login or when the extension is re-enabled, as a single batch
+     * @returns {number} Number of windows isolated
+     */
+    isolateExistingWindows() {
+        const windows = this._findWindowsToIsolate();
+        let count = 0;
+
+        this._placementHandler.runBatch(() => {
+            count = this._isolateAll(windows);
+        });
+
+        return count;
+    }
+
+    /**
+     * Lists what re-evaluating open windows against the current filter
+     * settings would change
+     * @returns {{toReturn: Object[], toIsolate: Object[]}} Meta windows
+     */
+    getFilterChanges() {
+        return {
+            toReturn: this._findExcludedWindows(),
+            toIsolate: this._findWindowsToIsolate(),
+        };
+    }
+
+    /**
+     * Returns isolated windows the filters now exclude and isolates
+     * maximized/fullscreen windows they now include, in one batch
+     * @returns {{returned: number, isolated: number}}
+     */
+    applyFilterChanges() {
+        const { toReturn, toIsolate } = this.getFilterChanges();
+        let returned = 0;
+        let isolated = 0;
+
+        this._placementHandler.runBatch(() => {
+            toReturn.forEach(window => {
+                this._placementHandler.returnWindowToOldWorkspace(window);
+                if (!this._placementHandler.isWindowPlaced(window)) {
+                    returned++;
+                }
+            });
+            isolated = this._isolateAll(toIsolate);
+        });
+
+        return { returned, isolated };
+    }
+
+    _isolateAll(windows) {
+        let count = 0;
+
+        windows.forEach(window => {
+            const trigger = this._windowFilter.getStateTrigger(window);
+            if (!trigger) {
+                return;
+            }
+
+            this._placementHandler.placeWindowOnWorkspace(window, { trigger });
+            if (this._placementHandler.isWindowPlaced(window)) {
+                count++;
+            }
+        });
+
+        return count;
+    }
+
+    _findWindowsToIsolate() {
+        if (this._isPaused()) {
+            return [];
+        }
+
+        return global.display.list_all_windows().filter(window =>
+            !window.minimized &&
+            !this._shouldBypassForMonitor(window) &&
+            !this._placementHandler.isWindowPlaced(window) &&
+            !this._placementHandler.isFollower(window) &&
+            this._windowFilter.getStateTrigger(window) !== null);
+    }
+
+    /**
+     * Finds isolated windows that would not be isolated under the current
+     * filter settings. Windows isolated on demand only go home once their
+     * app is excluded.
+     * @private
+     * @returns {Object[]} Meta windows
+     */
+    _findExcludedWindows() {
+        return this._placementHandler.getPlacedWindows()
+            .map(placedInfo => placedInfo.window)
+            .filter(window => {
+                if (!this._windowFilter.isManagedWindow(window)) {
+                    return true;
+                }
+
+                const trigger = this._placementHandler.getPlacementTrigger(window);
+                return trigger !== ExtensionConstants.TRIGGER_MANUAL &&
+                       this._windowFilter.getStateTrigger(window) === null;
+            });
+    }
+
+    /**
+     * Waits for filter edits to settle, since prefs write lists and
+     * spin values one change at a time
+     * @private
+     */
+    _queueFilterReview() {
+        if (this._filterReviewSourceId) {
+            GLib.source_remove(this._filterReviewSourceId);
+        }
+
+        this._filterReviewSourceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT,
+            ExtensionConstants.FILTER_REVIEW_DELAY_MS, () => {
+                this._filterReviewSourceId = 0;
+                this._reviewFilterChanges();
+                return GLib.SOURCE_REMOVE;
+            });
+    }
+
+    _reviewFilterChanges() {
+        const action = this._getFilterChangeAction();
+        if (action === ExtensionConstants.FILTER_CHANGE_IGNORE) {
+            return;
+        }
+
+        const changes = this.getFilterChanges();
+        if (changes.toReturn.length === 0 && changes.toIsolate.length === 0) {
+            return;
+        }
+
+        if (action === ExtensionConstants.FILTER_CHANGE_APPLY) {
+            this.applyFilterChanges();
+        } else {
+            this.emit(ExtensionConstants.EVENT_FILTER_REVIEW, changes);
+        }
+    }
+
+    _getFilterChangeAction() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_FILTER_CHANGE_ACTION)) {
+            return ExtensionConstants.FILTER_CHANGE_ASK;
+        }
+
+        return this._settings.get_string(ExtensionConstants.SETTING_FILTER_CHANGE_ACTION);
+    }
+
+    /**
+     * Isolates a window on demand, regardless of its maximize state
+     * @param {Object} window - Meta window object
+     * @returns {boolean} Whether the window is now isolated
+     */
+    isolateWindow(window) {
+        if (!this._windowFilter.isNormalWindow(window)) {
+            return false;
+        }
+
+        this._placementHandler.placeWindowOnWorkspace(window, {
+            trigger: ExtensionConstants.TRIGGER_MANUAL,
+        });
+        return this._placementHandler.isWindowPlaced(window);
+    }
+
+    /**
+     * Sends an isolated window back to its home workspace on demand
+     * @param {Object} window - Meta window object
+     * @returns {boolean} Whether the window was returned
+     */
+    returnWindow(window) {
+        if (!this._placementHandler.isWindowPlaced(window)) {
+            return false;
+        }
+
+        this._placementHandler.returnWindowToOldWorkspace(window);
+        return !this._placementHandler.isWindowPlaced(window);
+    }
+
     /**
      * Handles workspace switch event
      */
@@ -275,10 +730,25 @@ export class WindowEventHandler {
      */
     destroy() {
         this._pendingActions.clear();
+        this._pendingPlacements.clear();
+        this._grabbedWindows.clear();
+        this._pendingStateChecks.clear();
+        this._settleSourceIds.forEach(sourceId => GLib.source_remove(sourceId));
+        this._settleSourceIds.clear();
+        this._placementSignals.forEach(handle => this._placementHandler.disconnect(handle));
+        this._placementSignals = [];
+        this._filterSignals.forEach(handle => this._windowFilter.disconnect(handle));
+        this._filterSignals = [];
+        if (this._filterReviewSourceId) {
+            GLib.source_remove(this._filterReviewSourceId);
+            this._filterReviewSourceId = 0;
+        }
         this._pendingMapSourceIds.forEach(sourceId => GLib.source_remove(sourceId));
         this._pendingMapSourceIds.clear();
         this._windowFilter = null;
         this._placementHandler = null;
         this._settings = null;
+        this._pauseController = null;
+        this._monitorPolicy = null;
     }
 }
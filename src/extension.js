@@ -14,11 +14,21 @@
  * (at your option) any later version.
  */
 
+import GLib from 'gi://GLib';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
 import { WorkspaceManager } from './workspaceManager.js';
 import { WindowPlacementHandler } from './windowPlacement.js';
 import { WindowFilter } from './windowFilter.js';
 import { WindowEventHandler } from './eventHandler.js';
+import { PauseController } from './pauseController.js';
+import { MonitorPolicy } from './monitorPolicy.js';
+import { DBusService } from './dbusService.js';
+import { KeybindingManager } from './keybindingManager.js';
+import { PanelIndicator } from './panelIndicator.js';
+import { QuickSettingsIndicator } from './quickSettings.js';
+import { Notifier } from './notifier.js';
+import { WorkspaceNamer } from './workspaceNamer.js';
 import { ExtensionConstants } from './constants.js';
 
 /**
@@ -29,6 +39,14 @@ import { ExtensionConstants } from './constants.js';
  * - WindowPlacementHandler: Manages window placement logic
  * - WindowFilter: Determines which windows to manage
  * - WindowEventHandler: Coordinates window events
+ * - PauseController: Holds the paused/running state
+ * - MonitorPolicy: Per-monitor management rules
+ * - DBusService: Session D-Bus control interface
+ * - KeybindingManager: On-demand isolation shortcuts
+ * - PanelIndicator: Optional top-bar list of isolated windows
+ * - QuickSettingsIndicator: Pause/resume toggle with timed pauses
+ * - Notifier: Optional notifications with undo
+ * - WorkspaceNamer: Optional app names for isolated workspaces
  */
 export default class ScreenToSpaceExtension extends Extension {
     /**
@@ -36,14 +54,31 @@ export default class ScreenToSpaceExtension extends Extension {
      */
     enable() {
         this._initializeComponents();
+        this._restorePlacementState();
         this._connectSignals();
+
+        // Windows keep their state across a screen lock, so only a real
+        // enable sweeps them
+        if (!this._resumeAfterLock) {
+            this._scheduleStartupSweep();
+        }
+        this._resumeAfterLock = false;
     }
 
     /**
      * Called when the extension is disabled
      */
     disable() {
+        this._resumeAfterLock = Main.sessionMode.isLocked;
+
+        if (this._sweepSourceId) {
+            GLib.source_remove(this._sweepSourceId);
+            this._sweepSourceId = 0;
+        }
+
         this._disconnectSignals();
+        this._returnWindowsHomeOnDisable();
+        this._savePlacementState();
         this._cleanupComponents();
     }
 
@@ -55,10 +90,24 @@ export default class ScreenToSpaceExtension extends Extension {
         this._settings = this.getSettings();
         this._migrateTriggerSettings(this._settings);
         this._workspaceManager = new WorkspaceManager();
-        this._placementHandler = new WindowPlacementHandler(this._workspaceManager, this._settings);
         this._windowFilter = new WindowFilter(this._settings);
-        this._eventHandler = new WindowEventHandler(this._windowFilter, this._placementHandler, this._settings);
+        this._placementHandler = new WindowPlacementHandler(this._workspaceManager, this._settings, this._windowFilter);
+        // Carry a pause over screen lock; the instance outlives disable()
+        this._pauseController = new PauseController(this._savedPauseState);
+        this._savedPauseState = null;
+        this._monitorPolicy = new MonitorPolicy(this._settings);
+        this._eventHandler = new WindowEventHandler(this._windowFilter, this._placementHandler,
+            this._settings, this._pauseController, this._monitorPolicy);
+        this._dbusService = new DBusService(this._eventHandler, this._placementHandler, this._pauseController);
+        this._keybindingManager = new KeybindingManager(this._settings, this._eventHandler, this._placementHandler);
+        this._notifier = new Notifier(this._settings, this._placementHandler, this._eventHandler);
+        this._workspaceNamer = new WorkspaceNamer(this._settings, this._placementHandler);
+        this._panelIndicator = null;
+        this._quickSettingsIndicator = new QuickSettingsIndicator(this._pauseController, this._placementHandler);
+        Main.panel.statusArea.quickSettings.addExternalIndicator(this._quickSettingsIndicator);
         this._signalHandles = [];
+        this._displayHandles = [];
+        this._settingsHandles = [];
     }
 
     _migrateTriggerSettings(settings) {
@@ -85,6 +134,76 @@ export default class ScreenToSpaceExtension extends Extension {
         settings.set_boolean(ExtensionConstants.SETTING_TRIGGERS_MIGRATED, true);
     }
 
+    /**
+     * Sends isolated windows home when the user turns the extension off,
+     * if enabled in settings, and otherwise unpins windows pinned by
+     * monitor-only isolation. Locking the screen also disables extensions;
+     * those windows are kept so tracking resumes after unlock.
+     * @private
+     */
+    _returnWindowsHomeOnDisable() {
+        if (Main.sessionMode.isLocked || !this._placementHandler) {
+            return;
+        }
+
+        const schema = this._settings?.settings_schema;
+        if (schema?.has_key?.(ExtensionConstants.SETTING_RETURN_HOME_ON_DISABLE) &&
+            this._settings.get_boolean(ExtensionConstants.SETTING_RETURN_HOME_ON_DISABLE)) {
+            this._placementHandler.returnAllWindows();
+            return;
+        }
+
+        this._placementHandler.releasePinnedWindows();
+    }
+
+    /**
+     * Keeps isolated-window tracking so it survives screen lock and
+     * disable/enable cycles. Window ids are only valid within this shell
+     * process, so the state stays on the instance, which outlives disable().
+     * @private
+     */
+    _savePlacementState() {
+        if (!this._placementHandler) {
+            return;
+        }
+
+        const windows = this._placementHandler.serializePlacements();
+        this._savedPlacements = windows.length > 0 ? windows : null;
+    }
+
+    /**
+     * Restores tracking saved by _savePlacementState()
+     * @private
+     */
+    _restorePlacementState() {
+        const windows = this._savedPlacements;
+        // Consume the state so it is never applied twice
+        this._savedPlacements = null;
+
+        if (windows) {
+            this._placementHandler.restorePlacements(windows);
+        }
+    }
+
+    /**
+     * Isolates already maximized/fullscreen windows once the shell is idle,
+     * if enabled in settings
+     * @private
+     */
+    _scheduleStartupSweep() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_ISOLATE_ON_ENABLE) ||
+            !this._settings.get_boolean(ExtensionConstants.SETTING_ISOLATE_ON_ENABLE)) {
+            return;
+        }
+
+        this._sweepSourceId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._sweepSourceId = 0;
+            this._eventHandler?.isolateExistingWindows();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
     /**
      * Connect to window manager signals
      * @private
@@ -105,6 +224,38 @@ export default class ScreenToSpaceExtension extends Extension {
             wm.connect(C.SIGNAL_SWITCH_WORKSPACE, () => 
                 this._eventHandler.onWorkspaceSwitch()),
         ];
+
+        this._displayHandles = [
+            global.display.connect(C.SIGNAL_GRAB_OP_BEGIN, (_, window) =>
+                this._eventHandler.onGrabOpBegin(window)),
+            global.display.connect(C.SIGNAL_GRAB_OP_END, (_, window) =>
+                this._eventHandler.onGrabOpEnd(window)),
+        ];
+
+        this._settingsHandles = [
+            this._settings.connect(`changed::${C.SETTING_SHOW_PANEL_INDICATOR}`, () =>
+                this._syncPanelIndicator()),
+        ];
+        this._syncPanelIndicator();
+    }
+
+    /**
+     * Shows or hides the top-bar indicator to match settings
+     * @private
+     */
+    _syncPanelIndicator() {
+        const schema = this._settings?.settings_schema;
+        const show = schema?.has_key?.(ExtensionConstants.SETTING_SHOW_PANEL_INDICATOR) &&
+            this._settings.get_boolean(ExtensionConstants.SETTING_SHOW_PANEL_INDICATOR);
+
+        if (show && !this._panelIndicator) {
+            this._panelIndicator = new PanelIndicator(
+                this._placementHandler, this._eventHandler, this._pauseController);
+            Main.panel.addToStatusArea(this.uuid, this._panelIndicator);
+        } else if (!show && this._panelIndicator) {
+            this._panelIndicator.destroy();
+            this._panelIndicator = null;
+        }
     }
 
     /**
@@ -116,6 +267,12 @@ export default class ScreenToSpaceExtension extends Extension {
         
         this._signalHandles.forEach(handle => wm.disconnect(handle));
         this._signalHandles = [];
+
+        this._displayHandles.forEach(handle => global.display.disconnect(handle));
+        this._displayHandles = [];
+
+        this._settingsHandles.forEach(handle => this._settings.disconnect(handle));
+        this._settingsHandles = [];
     }
 
     /**
@@ -123,11 +280,52 @@ export default class ScreenToSpaceExtension extends Extension {
      * @private
      */
     _cleanupComponents() {
+        if (this._panelIndicator) {
+            this._panelIndicator.destroy();
+            this._panelIndicator = null;
+        }
+
+        if (this._notifier) {
+            this._notifier.destroy();
+            this._notifier = null;
+        }
+
+        if (this._workspaceNamer) {
+            this._workspaceNamer.destroy();
+            this._workspaceNamer = null;
+        }
+
+        if (this._quickSettingsIndicator) {
+            this._quickSettingsIndicator.destroy();
+            this._quickSettingsIndicator = null;
+        }
+
+        if (this._keybindingManager) {
+            this._keybindingManager.destroy();
+            this._keybindingManager = null;
+        }
+
+        if (this._dbusService) {
+            this._dbusService.destroy();
+            this._dbusService = null;
+        }
+
         if (this._eventHandler) {
             this._eventHandler.destroy();
             this._eventHandler = null;
         }
         
+        if (this._monitorPolicy) {
+            this._monitorPolicy.destroy();
+            this._monitorPolicy = null;
+        }
+
+        if (this._pauseController) {
+            this._savedPauseState = this._pauseController.getState();
+            this._pauseController.destroy();
+            this._pauseController = null;
+        }
+        
         if (this._windowFilter) {
             this._windowFilter.destroy();
             this._windowFilter = null;
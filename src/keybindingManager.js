@@ -0,0 +1,100 @@
+/**
+ * ScreenToSpace - Keybinding Manager
+ * 
+ * Registers the on-demand isolation shortcuts with the window manager.
+ * Lets users isolate or return the focused window without maximizing it.
+ * 
+ * @author DilZhaan
+ * @license GPL-2.0-or-later
+ */
+
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { ExtensionConstants } from './constants.js';
+
+/**
+ * Manages the extension's keyboard shortcuts
+ */
+export class KeybindingManager {
+    constructor(settings, eventHandler, placementHandler) {
+        this._settings = settings;
+        this._eventHandler = eventHandler;
+        this._placementHandler = placementHandler;
+        this._registeredKeys = [];
+
+        this._addKeybinding(ExtensionConstants.SETTING_SHORTCUT_ISOLATE,
+            () => this._isolateFocusedWindow());
+        this._addKeybinding(ExtensionConstants.SETTING_SHORTCUT_RETURN,
+            () => this._returnFocusedWindow());
+        this._addKeybinding(ExtensionConstants.SETTING_SHORTCUT_TOGGLE_WORKSPACE,
+            () => this._toggleIsolatedWorkspace());
+    }
+
+    _addKeybinding(key, handler) {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(key)) {
+            return;
+        }
+
+        Main.wm.addKeybinding(
+            key,
+            this._settings,
+            Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            handler
+        );
+        this._registeredKeys.push(key);
+    }
+
+    _isolateFocusedWindow() {
+        const window = global.display.focus_window;
+        if (window) {
+            this._eventHandler.isolateWindow(window);
+        }
+    }
+
+    _returnFocusedWindow() {
+        const window = global.display.focus_window;
+        if (window) {
+            this._eventHandler.returnWindow(window);
+        }
+    }
+
+    /**
+     * Jumps from an isolated workspace to its home, or from a home
+     * workspace to the most recently isolated window that left it
+     * @private
+     */
+    _toggleIsolatedWorkspace() {
+        const manager = global.workspace_manager;
+        const activeWorkspace = manager.get_active_workspace();
+        const placedWindows = this._placementHandler.getPlacedWindows();
+        const time = global.get_current_time();
+
+        const isolated = placedWindows.find(placedInfo =>
+            placedInfo.window.get_workspace() === activeWorkspace);
+        if (isolated) {
+            manager.get_workspace_by_index(isolated.homeWorkspaceIndex)?.activate(time);
+            return;
+        }
+
+        const activeIndex = activeWorkspace.index();
+        const fromHome = placedWindows.filter(placedInfo =>
+            placedInfo.homeWorkspaceIndex === activeIndex).pop();
+        if (fromHome) {
+            fromHome.window.activate(time);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this._registeredKeys.forEach(key => Main.wm.removeKeybinding(key));
+        this._registeredKeys = [];
+        this._settings = null;
+        this._eventHandler = null;
+        this._placementHandler = null;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * ScreenToSpace - Monitor Policy
+ *
+ * Decides per monitor whether ScreenToSpace manages its windows, from
+ * rules keyed by display model or connector, and records the monitors
+ * seen so preferences can list them.
+ *
+ * @author DilZhaan
+ * @license GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+import { ExtensionConstants } from './constants.js';
+
+/**
+ * Resolves monitor management rules
+ */
+export class MonitorPolicy {
+    constructor(settings) {
+        this._settings = settings;
+        this._monitors = [];
+        this._monitorManager = global.backend.get_monitor_manager();
+        this._monitorsChangedId = this._monitorManager.connect(
+            ExtensionConstants.SIGNAL_MONITORS_CHANGED, () => this._syncMonitors());
+
+        this._syncMonitors();
+    }
+
+    /**
+     * Returns the rule for the monitor with the given index. A rule for
+     * the display model wins over one for the connector it is plugged into.
+     * @param {number} monitorIndex - Logical monitor index
+     * @returns {string|null} MONITOR_POLICY_* value, or null to use the global settings
+     */
+    getPolicy(monitorIndex) {
+        const monitor = this._monitors.find(m => m.index === monitorIndex);
+        if (!monitor) {
+            return null;
+        }
+
+        const policies = this._getPolicies();
+        const policy = policies[MonitorPolicy.modelKey(monitor.vendor, monitor.product)] ??
+                       policies[MonitorPolicy.connectorKey(monitor.connector)];
+        return policy && policy !== ExtensionConstants.RULE_DEFAULT ? policy : null;
+    }
+
+    /**
+     * Builds the rule key matching a display model
+     * @param {string} vendor - EDID vendor
+     * @param {string} product - EDID product name
+     * @returns {string}
+     */
+    static modelKey(vendor, product) {
+        return `${ExtensionConstants.MONITOR_MATCH_MODEL}${vendor}/${product}`;
+    }
+
+    /**
+     * Builds the rule key matching a connector
+     * @param {string} connector - Connector name, e.g. HDMI-1
+     * @returns {string}
+     */
+    static connectorKey(connector) {
+        return `${ExtensionConstants.MONITOR_MATCH_CONNECTOR}${connector}`;
+    }
+
+    _syncMonitors() {
+        const monitorManager = this._monitorManager;
+        this._monitors = (monitorManager.get_monitors?.() ?? []).map(monitor => {
+            const connector = monitor.get_connector();
+            return {
+                index: monitorManager.get_monitor_for_connector(connector),
+                connector,
+                vendor: monitor.get_vendor?.() ?? '',
+                product: monitor.get_product?.() ?? '',
+                name: monitor.get_display_name?.() || connector,
+                builtin: monitor.is_builtin?.() ?? false,
+            };
+        });
+
+        this._recordKnownMonitors();
+    }
+
+    /**
+     * Adds connected monitors to the list shown in preferences
+     * @private
+     */
+    _recordKnownMonitors() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_KNOWN_MONITORS) || this._monitors.length === 0) {
+            return;
+        }
+
+        const known = this._settings.get_value(ExtensionConstants.SETTING_KNOWN_MONITORS).deepUnpack();
+        let changed = false;
+
+        this._monitors.forEach(monitor => {
+            const id = `${monitor.vendor}/${monitor.product}`;
+            const entry = {
+                connector: monitor.connector,
+                vendor: monitor.vendor,
+                product: monitor.product,
+                name: monitor.name,
+                builtin: monitor.builtin ? 'true' : 'false',
+            };
+
+            const previous = known[id];
+            if (!previous || Object.keys(entry).some(field => previous[field] !== entry[field])) {
+                known[id] = entry;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this._settings.set_value(ExtensionConstants.SETTING_KNOWN_MONITORS,
+                new GLib.Variant('a{sa{ss}}', known));
+        }
+    }
+
+    _getPolicies() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_MONITOR_POLICIES)) {
+            return {};
+        }
+
+        return this._settings.get_value(ExtensionConstants.SETTING_MONITOR_POLICIES).deepUnpack();
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        if (this._monitorsChangedId) {
+            this._monitorManager.disconnect(this._monitorsChangedId);
+            this._monitorsChangedId = 0;
+        }
+
+        this._monitorManager = null;
+        this._monitors = [];
+        this._settings = null;
+    }
+}
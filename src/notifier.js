@@ -0,0 +1,159 @@
+/**
+ * ScreenToSpace - Notifier
+ * 
+ * Shows optional desktop notifications about what the extension did,
+ * offering to undo the last isolation or to apply changed filters to
+ * open windows.
+ * 
+ * @author DilZhaan
+ * @license GPL-2.0-or-later
+ */
+
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import { ExtensionConstants } from './constants.js';
+
+/**
+ * Sends ScreenToSpace notifications
+ */
+export class Notifier {
+    constructor(settings, placementHandler, eventHandler) {
+        this._settings = settings;
+        this._placementHandler = placementHandler;
+        this._eventHandler = eventHandler;
+        this._source = null;
+        this._undoNotification = null;
+        this._reviewNotification = null;
+
+        this._signalHandles = [
+            this._placementHandler.connect(ExtensionConstants.EVENT_WINDOW_PLACED,
+                (_, window, placedInfo) => this._onWindowPlaced(window, placedInfo)),
+            this._placementHandler.connect(ExtensionConstants.EVENT_WINDOW_RETURNED,
+                () => this._dismissUndo()),
+            this._placementHandler.connect(ExtensionConstants.EVENT_WINDOW_FORGOTTEN,
+                () => this._dismissUndo()),
+        ];
+        this._eventHandles = [
+            this._eventHandler.connect(ExtensionConstants.EVENT_FILTER_REVIEW,
+                (_, changes) => this._onFilterReview(changes)),
+        ];
+    }
+
+    _onWindowPlaced(window, placedInfo) {
+        this._dismissUndo();
+
+        // A startup sweep would otherwise notify once per window
+        if (this._placementHandler.isBatching()) {
+            return;
+        }
+
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_SHOW_UNDO_NOTIFICATION) ||
+            !this._settings.get_boolean(ExtensionConstants.SETTING_SHOW_UNDO_NOTIFICATION)) {
+            return;
+        }
+
+        const appName = this._getAppName(window);
+        const workspaceNumber = (window.get_workspace()?.index() ?? 0) + 1;
+        const notification = new MessageTray.Notification({
+            source: this._getSource(),
+            title: `Moved ${appName} to workspace ${workspaceNumber}`,
+            body: `Other windows stay on workspace ${placedInfo.homeWorkspaceIndex + 1}`,
+            isTransient: true,
+        });
+
+        notification.addAction('Undo', () => {
+            this._placementHandler?.undoLastPlacement();
+        });
+        notification.connect('destroy', () => {
+            if (this._undoNotification === notification) {
+                this._undoNotification = null;
+            }
+        });
+
+        this._undoNotification = notification;
+        this._getSource().addNotification(notification);
+    }
+
+    _onFilterReview({ toReturn, toIsolate }) {
+        this._reviewNotification?.destroy();
+
+        const lines = [];
+        if (toReturn.length > 0) {
+            lines.push(`${this._countWindows(toReturn.length)} no longer match and can go back home`);
+        }
+        if (toIsolate.length > 0) {
+            lines.push(`${this._countWindows(toIsolate.length)} can now be isolated`);
+        }
+
+        const notification = new MessageTray.Notification({
+            source: this._getSource(),
+            title: 'Window filters changed',
+            body: lines.join('\n'),
+        });
+
+        notification.addAction('Apply', () => {
+            this._eventHandler?.applyFilterChanges();
+        });
+        notification.connect('destroy', () => {
+            if (this._reviewNotification === notification) {
+                this._reviewNotification = null;
+            }
+        });
+
+        this._reviewNotification = notification;
+        this._getSource().addNotification(notification);
+    }
+
+    _countWindows(count) {
+        return count === 1 ? '1 window' : `${count} windows`;
+    }
+
+    /**
+     * Withdraws the undo offer once it no longer applies
+     * @private
+     */
+    _dismissUndo() {
+        this._undoNotification?.destroy();
+        this._undoNotification = null;
+    }
+
+    _getAppName(window) {
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        return app?.get_name() || window.get_title() || 'window';
+    }
+
+    _getSource() {
+        if (!this._source) {
+            this._source = new MessageTray.Source({
+                title: ExtensionConstants.NAME,
+                iconName: 'view-fullscreen-symbolic',
+            });
+            this._source.connect('destroy', () => {
+                this._source = null;
+            });
+            Main.messageTray.add(this._source);
+        }
+
+        return this._source;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this._signalHandles.forEach(handle => this._placementHandler.disconnect(handle));
+        this._signalHandles = [];
+        this._eventHandles.forEach(handle => this._eventHandler.disconnect(handle));
+        this._eventHandles = [];
+        this._dismissUndo();
+        this._reviewNotification?.destroy();
+        this._reviewNotification = null;
+        this._source?.destroy();
+        this._source = null;
+        this._placementHandler = null;
+        this._eventHandler = null;
+        this._settings = null;
+    }
+}
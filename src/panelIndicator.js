@@ -0,0 +1,162 @@
+/**
+ * ScreenToSpace - Panel Indicator
+ * 
+ * Optional top-bar button showing how many windows are isolated, with a
+ * menu listing each one and quick actions to reach or return it.
+ * 
+ * @author DilZhaan
+ * @license GPL-2.0-or-later
+ */
+
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import Shell from 'gi://Shell';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import { ExtensionConstants } from './constants.js';
+
+/**
+ * Top-bar indicator listing isolated windows
+ */
+export const PanelIndicator = GObject.registerClass(
+class PanelIndicator extends PanelMenu.Button {
+    _init(placementHandler, eventHandler, pauseController) {
+        super._init(0.0, ExtensionConstants.NAME);
+
+        this._placementHandler = placementHandler;
+        this._eventHandler = eventHandler;
+        this._pauseController = pauseController;
+
+        const box = new St.BoxLayout({ style_class: 'panel-status-menu-box' });
+        this._icon = new St.Icon({
+            icon_name: 'view-fullscreen-symbolic',
+            style_class: 'system-status-icon',
+        });
+        this._countLabel = new St.Label({
+            y_align: Clutter.ActorAlign.CENTER,
+            y_expand: true,
+        });
+        box.add_child(this._icon);
+        box.add_child(this._countLabel);
+        this.add_child(box);
+
+        this._pauseItem = null;
+        this._signalHandles = [
+            ...[
+                ExtensionConstants.EVENT_WINDOW_PLACED,
+                ExtensionConstants.EVENT_WINDOW_RETURNED,
+                ExtensionConstants.EVENT_WINDOW_FORGOTTEN,
+            ].map(event => [this._placementHandler, this._placementHandler.connect(event,
+                () => this._onPlacementsChanged())]),
+            [this._pauseController, this._pauseController.connect(ExtensionConstants.EVENT_PAUSE_CHANGED,
+                (_, paused) => this._onPauseChanged(paused))],
+        ];
+
+        this.menu.connect('open-state-changed', (_, open) => {
+            if (open) {
+                this._rebuildMenu();
+            }
+        });
+
+        this._updateCount();
+        this._onPauseChanged(this._pauseController.isPaused());
+    }
+
+    _onPlacementsChanged() {
+        this._updateCount();
+
+        if (this.menu.isOpen) {
+            this._rebuildMenu();
+        }
+    }
+
+    _onPauseChanged(paused) {
+        this._icon.opacity = paused ? 128 : 255;
+        this._pauseItem?.setToggleState(paused);
+    }
+
+    /**
+     * Updates the isolated window count shown in the panel
+     * @private
+     */
+    _updateCount() {
+        const count = this._placementHandler.getPlacedWindows().length;
+        this._countLabel.text = count > 0 ? `${count}` : '';
+    }
+
+    /**
+     * Rebuilds the menu from the current placement state
+     * @private
+     */
+    _rebuildMenu() {
+        this.menu.removeAll();
+
+        const placedWindows = this._placementHandler.getPlacedWindows();
+        const tracker = Shell.WindowTracker.get_default();
+
+        if (placedWindows.length === 0) {
+            const emptyItem = new PopupMenu.PopupMenuItem('No isolated windows', {
+                reactive: false,
+            });
+            this.menu.addMenuItem(emptyItem);
+        }
+
+        placedWindows.forEach(placedInfo => {
+            const window = placedInfo.window;
+            const title = window.get_title() || tracker.get_window_app(window)?.get_name() || ExtensionConstants.NAME;
+            const home = placedInfo.homeWorkspaceIndex >= 0
+                ? `workspace ${placedInfo.homeWorkspaceIndex + 1}`
+                : 'unknown';
+            const item = new PopupMenu.PopupSubMenuMenuItem(`${title} — home: ${home}`, true);
+
+            const appIcon = tracker.get_window_app(window)?.get_icon();
+            if (appIcon) {
+                item.icon.gicon = appIcon;
+            } else {
+                item.icon.icon_name = 'application-x-executable-symbolic';
+            }
+
+            item.menu.addAction('Go to window', () => {
+                Main.activateWindow(window);
+            });
+            item.menu.addAction('Return home', () => {
+                this._eventHandler.returnWindow(window);
+            });
+
+            this.menu.addMenuItem(item);
+        });
+
+        if (placedWindows.length > 1) {
+            this.menu.addAction('Return all home', () => {
+                this._placementHandler.returnAllWindows();
+            });
+        }
+
+        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+        this._pauseItem = new PopupMenu.PopupSwitchMenuItem(
+            'Pause ScreenToSpace', this._pauseController.isPaused());
+        this._pauseItem.connect('toggled', (_, paused) => {
+            if (paused) {
+                this._pauseController.pause();
+            } else {
+                this._pauseController.resume();
+            }
+        });
+        this._pauseItem.connect('destroy', () => {
+            this._pauseItem = null;
+        });
+        this.menu.addMenuItem(this._pauseItem);
+    }
+
+    destroy() {
+        this._signalHandles.forEach(([emitter, handle]) => emitter.disconnect(handle));
+        this._signalHandles = [];
+        this._placementHandler = null;
+        this._eventHandler = null;
+        this._pauseController = null;
+        super.destroy();
+    }
+});
@@ -0,0 +1,136 @@
+/**
+ * ScreenToSpace - Pause Controller
+ * 
+ * Holds the paused/running state of the extension.
+ * While paused no new windows are isolated, but windows that were
+ * already isolated can still return to their home workspace.
+ * 
+ * @author DilZhaan
+ * @license GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+import { EventEmitter } from 'resource:///org/gnome/shell/misc/signals.js';
+import { ExtensionConstants } from './constants.js';
+
+/**
+ * Tracks whether automatic isolation is paused
+ * 
+ * Signals:
+ * - 'changed' (paused: boolean)
+ */
+export class PauseController extends EventEmitter {
+    /**
+     * @param {Object} [state] - State from getState() to carry over a pause
+     */
+    constructor(state = null) {
+        super();
+        this._paused = false;
+        this._resumeAt = 0;
+        this._timeoutId = 0;
+
+        if (state?.paused) {
+            this._restoreState(state);
+        }
+    }
+
+    /**
+     * Returns whether automatic isolation is paused
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this._paused;
+    }
+
+    /**
+     * Returns when a timed pause ends
+     * @returns {number} Wall-clock time in microseconds, or 0 if not timed
+     */
+    getResumeTime() {
+        return this._resumeAt;
+    }
+
+    /**
+     * Suspends automatic isolation
+     * @param {number} [durationSeconds] - Resume automatically after this long; 0 pauses until resumed
+     */
+    pause(durationSeconds = 0) {
+        this._clearTimeout();
+        this._resumeAt = 0;
+
+        if (durationSeconds > 0) {
+            this._resumeAt = GLib.get_real_time() + durationSeconds * GLib.USEC_PER_SEC;
+            this._scheduleResume(durationSeconds);
+        }
+
+        this._setPaused(true, true);
+    }
+
+    /**
+     * Resumes automatic isolation
+     */
+    resume() {
+        this._clearTimeout();
+        this._resumeAt = 0;
+        this._setPaused(false);
+    }
+
+    /**
+     * Returns a plain snapshot that can be passed to a new controller
+     * @returns {{paused: boolean, resumeAt: number}}
+     */
+    getState() {
+        return {
+            paused: this._paused,
+            resumeAt: this._resumeAt,
+        };
+    }
+
+    _restoreState(state) {
+        if (!state.resumeAt) {
+            this._paused = true;
+            return;
+        }
+
+        const remainingSeconds = Math.ceil((state.resumeAt - GLib.get_real_time()) / GLib.USEC_PER_SEC);
+        if (remainingSeconds <= 0) {
+            return;
+        }
+
+        this._paused = true;
+        this._resumeAt = state.resumeAt;
+        this._scheduleResume(remainingSeconds);
+    }
+
+    _scheduleResume(seconds) {
+        this._timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, seconds, () => {
+            this._timeoutId = 0;
+            this.resume();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _clearTimeout() {
+        if (this._timeoutId) {
+            GLib.source_remove(this._timeoutId);
+            this._timeoutId = 0;
+        }
+    }
+
+    _setPaused(paused, force = false) {
+        if (this._paused === paused && !force) {
+            return;
+        }
+
+        this._paused = paused;
+        this.emit(ExtensionConstants.EVENT_PAUSE_CHANGED, paused);
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this._clearTimeout();
+        this.disconnectAll();
+    }
+}
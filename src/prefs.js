@@ -9,7 +9,9 @@
  */
 
 import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
 import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
 import Gtk from 'gi://Gtk';
 
 import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
@@ -28,10 +30,12 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
         
         const behaviorPage = this._createBehaviorPage(window);
         const appListPage = this._createAppListPage(window);
+        const monitorsPage = this._createMonitorsPage(window);
         const aboutPage = this._createAboutPage();
         
         window.add(behaviorPage);
         window.add(appListPage);
+        window.add(monitorsPage);
         window.add(aboutPage);
     }
 
@@ -54,6 +58,32 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
         });
 
         behaviorGroup.add(this._createTriggerModeRow(window));
+        behaviorGroup.add(this._createSwitchRow(window,
+            ExtensionConstants.SETTING_TRIGGER_ON_TILING,
+            'Isolate half-tiled windows',
+            'Also move windows tiled to the left or right half of the screen',
+            'view-dual-symbolic'));
+        behaviorGroup.add(this._createCoverageThresholdRow(window));
+        behaviorGroup.add(this._createSettleDelayRow(window));
+        behaviorGroup.add(this._createSwitchRow(window,
+            ExtensionConstants.SETTING_ISOLATE_ON_ENABLE,
+            'Isolate existing windows',
+            'At login or when re-enabled, isolate windows that are already maximized or fullscreen',
+            'view-restore-symbolic'));
+        behaviorGroup.add(this._createSwitchRow(window,
+            ExtensionConstants.SETTING_RETURN_HOME_ON_DISABLE,
+            'Return windows home on disable',
+            'Send isolated windows back when the extension is turned off (not on screen lock)',
+            'go-home-symbolic'));
+        behaviorGroup.add(this._createPlacementStrategyRow(window));
+        behaviorGroup.add(this._createMaxCreatedWorkspacesRow(window));
+        behaviorGroup.add(this._createSwitchRow(window,
+            ExtensionConstants.SETTING_NAME_ISOLATED_WORKSPACES,
+            'Name isolated workspaces',
+            'Show the app name for isolated workspaces in the overview and workspace switchers',
+            'document-edit-symbolic'));
+        behaviorGroup.add(this._createManualMovePolicyRow(window));
+        behaviorGroup.add(this._createNewWindowPolicyRow(window));
         behaviorGroup.add(this._createOverrideModifierRow(window));
         behaviorGroup.add(this._createExternalMonitorOverrideRow(window));
         page.add(behaviorGroup);
@@ -107,7 +137,46 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
         window._settings.connect(`changed::${ExtensionConstants.SETTING_WHITELIST_APPS}`, updateInfo);
 
         filterGroup.add(infoRow);
+        filterGroup.add(this._createFilterChangeActionRow(window));
         page.add(filterGroup);
+
+        // Status group
+        const statusGroup = new Adw.PreferencesGroup({
+            title: 'Status',
+            description: 'See what ScreenToSpace is doing at a glance',
+        });
+
+        statusGroup.add(this._createSwitchRow(window,
+            ExtensionConstants.SETTING_SHOW_PANEL_INDICATOR,
+            'Show indicator',
+            'List isolated windows in the top bar with quick actions',
+            'view-list-bullet-symbolic'));
+        statusGroup.add(this._createSwitchRow(window,
+            ExtensionConstants.SETTING_SHOW_UNDO_NOTIFICATION,
+            'Undo notification',
+            'Notify after isolating a window, with an action to undo the move',
+            'edit-undo-symbolic'));
+        page.add(statusGroup);
+
+        // Keyboard Shortcuts group
+        const shortcutsGroup = new Adw.PreferencesGroup({
+            title: 'Keyboard Shortcuts',
+            description: 'Isolate or return the focused window on demand',
+        });
+
+        shortcutsGroup.add(this._createShortcutRow(window,
+            ExtensionConstants.SETTING_SHORTCUT_ISOLATE,
+            'Isolate focused window',
+            'Move the focused window to its own workspace without maximizing it'));
+        shortcutsGroup.add(this._createShortcutRow(window,
+            ExtensionConstants.SETTING_SHORTCUT_RETURN,
+            'Return focused window',
+            'Send an isolated window back to its home workspace'));
+        shortcutsGroup.add(this._createShortcutRow(window,
+            ExtensionConstants.SETTING_SHORTCUT_TOGGLE_WORKSPACE,
+            'Switch isolated/home workspace',
+            'Jump between an isolated workspace and its home workspace'));
+        page.add(shortcutsGroup);
         
         return page;
     }
@@ -150,7 +219,12 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
             const listKey = mode === 'whitelist' 
                 ? ExtensionConstants.SETTING_WHITELIST_APPS 
                 : ExtensionConstants.SETTING_BLACKLIST_APPS;
-            this._openAppChooser(window, listKey);
+            this._openAppChooser(
+                window,
+                mode === 'whitelist' ? 'Select Apps to Whitelist' : 'Select Apps to Blacklist',
+                window._settings.get_strv(listKey),
+                appIds => appIds.forEach(appId => this._addAppToList(window, listKey, appId))
+            );
         });
 
         addGroup.add(addRow);
@@ -176,11 +250,591 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
             this._refreshAppList(window, listGroup);
         });
 
+        const schema = window._settings.settings_schema;
+        if (schema?.has_key?.(ExtensionConstants.SETTING_APP_RULES)) {
+            const addRuleButton = new Gtk.Button({
+                icon_name: 'list-add-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: 'Add rules for apps not in the list',
+            });
+            addRuleButton.add_css_class('flat');
+            addRuleButton.connect('clicked', () => {
+                const listed = [
+                    ...window._settings.get_strv(this._getActiveListKey(window)),
+                    ...Object.keys(this._getAppRules(window)),
+                ];
+                this._openAppChooser(window, 'Select Apps to Add Rules For', listed, appIds => {
+                    const nextRules = this._getAppRules(window);
+                    appIds.forEach(appId => {
+                        nextRules[appId] = nextRules[appId] ?? {
+                            [ExtensionConstants.RULE_TRIGGER]: ExtensionConstants.RULE_DEFAULT,
+                            [ExtensionConstants.RULE_PLACEMENT]: ExtensionConstants.RULE_DEFAULT,
+                            [ExtensionConstants.RULE_NEW_WINDOWS]: ExtensionConstants.RULE_DEFAULT,
+                        };
+                    });
+                    this._setAppRules(window, nextRules);
+                });
+            });
+            listGroup.set_header_suffix(addRuleButton);
+
+            // Only rebuild when apps gain or lose rules so open editors stay expanded
+            window._settings.connect(`changed::${ExtensionConstants.SETTING_APP_RULES}`, () => {
+                const appIds = Object.keys(this._getAppRules(window)).sort().join('\n');
+                if (appIds !== listGroup._ruleAppIds) {
+                    this._refreshAppList(window, listGroup);
+                }
+            });
+        }
+
         page.add(listGroup);
 
+        page.add(this._createPatternsGroup(window));
+        page.add(this._createIsolationGroupsGroup(window));
+
         return page;
     }
 
+    /**
+     * Creates the window pattern group for the current filter mode
+     * @private
+     */
+    _createPatternsGroup(window) {
+        const group = new Adw.PreferencesGroup();
+
+        const schema = window._settings.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_BLACKLIST_PATTERNS) ||
+            !schema?.has_key?.(ExtensionConstants.SETTING_WHITELIST_PATTERNS)) {
+            group.title = 'Window Patterns';
+            group.description = 'Match windows by WM_CLASS, title or wildcards (update required)';
+            group.sensitive = false;
+            return group;
+        }
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            valign: Gtk.Align.CENTER,
+            tooltip_text: 'Add pattern',
+        });
+        addButton.add_css_class('flat');
+        addButton.connect('clicked', () => {
+            this._openPatternDialog(window, this._getPatternsKey(window));
+        });
+        group.set_header_suffix(addButton);
+
+        this._refreshPatterns(window, group);
+
+        window._settings.connect(`changed::${ExtensionConstants.SETTING_FILTER_MODE}`, () => {
+            this._refreshPatterns(window, group);
+        });
+        window._settings.connect(`changed::${ExtensionConstants.SETTING_BLACKLIST_PATTERNS}`, () => {
+            this._refreshPatterns(window, group);
+        });
+        window._settings.connect(`changed::${ExtensionConstants.SETTING_WHITELIST_PATTERNS}`, () => {
+            this._refreshPatterns(window, group);
+        });
+
+        return group;
+    }
+
+    /**
+     * Returns the pattern settings key for the current filter mode
+     * @private
+     */
+    _getPatternsKey(window) {
+        const mode = window._settings.get_string(ExtensionConstants.SETTING_FILTER_MODE);
+        return mode === 'whitelist'
+            ? ExtensionConstants.SETTING_WHITELIST_PATTERNS
+            : ExtensionConstants.SETTING_BLACKLIST_PATTERNS;
+    }
+
+    /**
+     * Rebuilds the window pattern rows
+     * @private
+     */
+    _refreshPatterns(window, group) {
+        group._rowsCache = group._rowsCache || [];
+        group._rowsCache.forEach(row => group.remove(row));
+        group._rowsCache = [];
+
+        const mode = window._settings.get_string(ExtensionConstants.SETTING_FILTER_MODE);
+        const patternsKey = this._getPatternsKey(window);
+        const patterns = window._settings.get_value(patternsKey).deepUnpack();
+
+        group.title = 'Window Patterns';
+        group.description = mode === 'whitelist'
+            ? 'Windows matching these patterns are managed too.'
+            : 'Windows matching these patterns are ignored.';
+
+        if (patterns.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: 'No patterns added',
+                subtitle: 'Match by app ID, WM_CLASS or title using wildcards or regular expressions.',
+                sensitive: false,
+            });
+            emptyRow.add_prefix(new Gtk.Image({
+                icon_name: 'edit-find-symbolic',
+                valign: Gtk.Align.CENTER,
+            }));
+            group.add(emptyRow);
+            group._rowsCache.push(emptyRow);
+            return;
+        }
+
+        const fieldLabels = this._getPatternFieldLabels();
+
+        patterns.forEach(([field, syntax, pattern], index) => {
+            const row = new Adw.ActionRow({
+                title: GLib.markup_escape_text(pattern, -1),
+                subtitle: `${fieldLabels[field] ?? field} · ${syntax === ExtensionConstants.PATTERN_SYNTAX_REGEX ? 'Regular expression' : 'Wildcard'}`,
+            });
+
+            const removeButton = new Gtk.Button({
+                icon_name: 'edit-delete-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: 'Remove',
+            });
+            removeButton.add_css_class('flat');
+            removeButton.add_css_class('circular');
+            removeButton.connect('clicked', () => {
+                const next = window._settings.get_value(patternsKey).deepUnpack()
+                    .filter((_, i) => i !== index);
+                window._settings.set_value(patternsKey, new GLib.Variant('a(sss)', next));
+            });
+
+            row.add_suffix(removeButton);
+            group.add(row);
+            group._rowsCache.push(row);
+        });
+    }
+
+    /**
+     * Returns display labels for pattern fields
+     * @private
+     */
+    _getPatternFieldLabels() {
+        return {
+            [ExtensionConstants.PATTERN_FIELD_APP_ID]: 'Application ID',
+            [ExtensionConstants.PATTERN_FIELD_WM_CLASS]: 'WM_CLASS',
+            [ExtensionConstants.PATTERN_FIELD_WM_CLASS_INSTANCE]: 'WM_CLASS instance',
+            [ExtensionConstants.PATTERN_FIELD_TITLE]: 'Window title',
+        };
+    }
+
+    /**
+     * Opens a dialog to add a window pattern rule
+     * @private
+     */
+    _openPatternDialog(window, patternsKey) {
+        const fieldLabels = this._getPatternFieldLabels();
+        const fieldValues = Object.keys(fieldLabels);
+        const syntaxValues = [
+            ExtensionConstants.PATTERN_SYNTAX_GLOB,
+            ExtensionConstants.PATTERN_SYNTAX_REGEX,
+        ];
+
+        const dialog = new Adw.Window({
+            title: 'Add Window Pattern',
+            transient_for: window,
+            modal: true,
+            default_width: 420,
+        });
+
+        const toolbarView = new Adw.ToolbarView();
+        const headerBar = new Adw.HeaderBar({
+            show_end_title_buttons: false,
+        });
+
+        const cancelButton = new Gtk.Button({ label: 'Cancel' });
+        cancelButton.connect('clicked', () => dialog.close());
+        headerBar.pack_start(cancelButton);
+
+        const addButton = new Gtk.Button({ label: 'Add' });
+        addButton.add_css_class('suggested-action');
+        addButton.sensitive = false;
+        headerBar.pack_end(addButton);
+
+        toolbarView.add_top_bar(headerBar);
+
+        const group = new Adw.PreferencesGroup({
+            margin_start: 12,
+            margin_end: 12,
+            margin_top: 12,
+            margin_bottom: 12,
+        });
+
+        const fieldRow = new Adw.ComboRow({
+            title: 'Match on',
+            model: Gtk.StringList.new(fieldValues.map(value => fieldLabels[value])),
+            selected: fieldValues.indexOf(ExtensionConstants.PATTERN_FIELD_WM_CLASS),
+        });
+        const syntaxRow = new Adw.ComboRow({
+            title: 'Syntax',
+            subtitle: 'Wildcards support * and ?; matching ignores case',
+            model: Gtk.StringList.new(['Wildcard', 'Regular expression']),
+            selected: 0,
+        });
+        const patternRow = new Adw.EntryRow({
+            title: 'Pattern, e.g. steam_app_*',
+        });
+
+        const validate = () => {
+            const pattern = patternRow.text.trim();
+            let valid = pattern.length > 0;
+
+            if (valid && syntaxValues[syntaxRow.selected] === ExtensionConstants.PATTERN_SYNTAX_REGEX) {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (error) {
+                    valid = false;
+                }
+            }
+
+            if (pattern.length > 0 && !valid) {
+                patternRow.add_css_class('error');
+            } else {
+                patternRow.remove_css_class('error');
+            }
+            addButton.sensitive = valid;
+        };
+        patternRow.connect('changed', validate);
+        syntaxRow.connect('notify::selected', validate);
+
+        addButton.connect('clicked', () => {
+            const next = window._settings.get_value(patternsKey).deepUnpack();
+            next.push([
+                fieldValues[fieldRow.selected],
+                syntaxValues[syntaxRow.selected],
+                patternRow.text.trim(),
+            ]);
+            window._settings.set_value(patternsKey, new GLib.Variant('a(sss)', next));
+            dialog.close();
+        });
+
+        group.add(fieldRow);
+        group.add(syntaxRow);
+        group.add(patternRow);
+        toolbarView.set_content(group);
+        dialog.set_content(toolbarView);
+        dialog.present();
+
+        patternRow.grab_focus();
+    }
+
+    /**
+     * Adds the trigger, placement and new window rule editors for an app
+     * to its App List row
+     * @private
+     */
+    _addAppRuleRows(window, row, appId) {
+        const triggerLabels = ['Default', 'Maximize', 'Full Screen', 'Both', 'Never'];
+        const triggerValues = [
+            ExtensionConstants.RULE_DEFAULT,
+            ExtensionConstants.TRIGGER_MAXIMIZE,
+            ExtensionConstants.TRIGGER_FULLSCREEN,
+            ExtensionConstants.TRIGGER_BOTH,
+            ExtensionConstants.TRIGGER_NEVER,
+        ];
+        const placementLabels = ['Default', 'First free workspace', 'Right after current', 'At the end'];
+        const placementValues = [
+            ExtensionConstants.RULE_DEFAULT,
+            ExtensionConstants.PLACEMENT_FIRST_FREE,
+            ExtensionConstants.PLACEMENT_ADJACENT,
+            ExtensionConstants.PLACEMENT_APPEND,
+        ];
+        const newWindowLabels = ['Default', 'Isolate separately', 'Beside the isolated window', 'On the home workspace'];
+        const newWindowValues = [
+            ExtensionConstants.RULE_DEFAULT,
+            ExtensionConstants.NEW_WINDOW_SEPARATE,
+            ExtensionConstants.NEW_WINDOW_BESIDE,
+            ExtensionConstants.NEW_WINDOW_HOME,
+        ];
+
+        row.add_row(this._createAppRuleComboRow(window, appId, 'Trigger',
+            'Which window state isolates this app', ExtensionConstants.RULE_TRIGGER,
+            triggerLabels, triggerValues));
+        row.add_row(this._createAppRuleComboRow(window, appId, 'Workspace placement',
+            'Where this app\'s isolated workspace goes', ExtensionConstants.RULE_PLACEMENT,
+            placementLabels, placementValues));
+        row.add_row(this._createAppRuleComboRow(window, appId, 'New windows',
+            'Where this app\'s new windows open while one is isolated', ExtensionConstants.RULE_NEW_WINDOWS,
+            newWindowLabels, newWindowValues));
+    }
+
+    /**
+     * Creates a combo row editing one field of an app rule
+     * @private
+     */
+    _createAppRuleComboRow(window, appId, title, subtitle, field, labels, values) {
+        const current = this._getAppRules(window)[appId]?.[field] ?? ExtensionConstants.RULE_DEFAULT;
+
+        const row = new Adw.ComboRow({
+            title: title,
+            subtitle: subtitle,
+            model: Gtk.StringList.new(labels),
+            selected: Math.max(values.indexOf(current), 0),
+        });
+
+        row.connect('notify::selected', combo => {
+            const nextRules = this._getAppRules(window);
+            nextRules[appId] = nextRules[appId] ?? {};
+            nextRules[appId][field] = values[combo.selected] || values[0];
+            this._setAppRules(window, nextRules);
+        });
+
+        return row;
+    }
+
+    /**
+     * Creates the isolation groups group (apps sharing one workspace)
+     * @private
+     */
+    _createIsolationGroupsGroup(window) {
+        const group = new Adw.PreferencesGroup({
+            title: 'Isolation Groups',
+            description: 'Apps in the same group share one isolated workspace',
+        });
+
+        const schema = window._settings.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_ISOLATION_GROUPS)) {
+            group.description = 'Apps in the same group share one isolated workspace (update required)';
+            group.sensitive = false;
+            return group;
+        }
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            valign: Gtk.Align.CENTER,
+            tooltip_text: 'Add group',
+        });
+        addButton.add_css_class('flat');
+        addButton.connect('clicked', () => {
+            this._openIsolationGroupDialog(window);
+        });
+        group.set_header_suffix(addButton);
+
+        this._refreshIsolationGroups(window, group);
+
+        window._settings.connect(`changed::${ExtensionConstants.SETTING_ISOLATION_GROUPS}`, () => {
+            this._refreshIsolationGroups(window, group);
+        });
+
+        return group;
+    }
+
+    /**
+     * Rebuilds the isolation group rows, keeping expanded groups open
+     * @private
+     */
+    _refreshIsolationGroups(window, group) {
+        group._rowsCache = group._rowsCache || [];
+        const expanded = new Set(group._rowsCache
+            .filter(row => row.expanded)
+            .map(row => row._groupName));
+        group._rowsCache.forEach(row => group.remove(row));
+        group._rowsCache = [];
+
+        const groups = this._getIsolationGroups(window);
+        const names = Object.keys(groups).sort();
+
+        if (names.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: 'No groups configured',
+                subtitle: 'Use the add button to let apps share a workspace, e.g. a call client and its chat.',
+                sensitive: false,
+            });
+            emptyRow.add_prefix(new Gtk.Image({
+                icon_name: 'view-dual-symbolic',
+                valign: Gtk.Align.CENTER,
+            }));
+            group.add(emptyRow);
+            group._rowsCache.push(emptyRow);
+            return;
+        }
+
+        names.forEach(name => {
+            const appIds = groups[name];
+            const row = new Adw.ExpanderRow({
+                title: GLib.markup_escape_text(name, -1),
+                subtitle: appIds.length === 1 ? '1 app' : `${appIds.length} apps`,
+                expanded: expanded.has(name),
+            });
+            row._groupName = name;
+
+            const addAppsButton = new Gtk.Button({
+                icon_name: 'list-add-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: 'Add apps',
+            });
+            addAppsButton.add_css_class('flat');
+            addAppsButton.add_css_class('circular');
+            addAppsButton.connect('clicked', () => {
+                this._openAppChooser(window, `Select Apps for ${name}`, appIds, selected => {
+                    const nextGroups = this._getIsolationGroups(window);
+                    nextGroups[name] = [...new Set([...(nextGroups[name] ?? []), ...selected])];
+                    this._setIsolationGroups(window, nextGroups);
+                });
+            });
+            row.add_suffix(addAppsButton);
+
+            const removeButton = new Gtk.Button({
+                icon_name: 'edit-delete-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: 'Remove group',
+            });
+            removeButton.add_css_class('flat');
+            removeButton.add_css_class('circular');
+            removeButton.connect('clicked', () => {
+                const nextGroups = this._getIsolationGroups(window);
+                delete nextGroups[name];
+                this._setIsolationGroups(window, nextGroups);
+            });
+            row.add_suffix(removeButton);
+
+            appIds.forEach(appId => {
+                const appInfo = Gio.DesktopAppInfo.new(appId);
+                const appRow = new Adw.ActionRow({
+                    title: appInfo ? appInfo.get_display_name() : appId,
+                    subtitle: appId,
+                });
+
+                const icon = appInfo?.get_icon();
+                if (icon) {
+                    appRow.add_prefix(new Gtk.Image({
+                        gicon: icon,
+                        pixel_size: 32,
+                        valign: Gtk.Align.CENTER,
+                    }));
+                }
+
+                const removeAppButton = new Gtk.Button({
+                    icon_name: 'edit-delete-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: 'Remove',
+                });
+                removeAppButton.add_css_class('flat');
+                removeAppButton.add_css_class('circular');
+                removeAppButton.connect('clicked', () => {
+                    const nextGroups = this._getIsolationGroups(window);
+                    nextGroups[name] = (nextGroups[name] ?? []).filter(id => id !== appId);
+                    this._setIsolationGroups(window, nextGroups);
+                });
+                appRow.add_suffix(removeAppButton);
+
+                row.add_row(appRow);
+            });
+
+            group.add(row);
+            group._rowsCache.push(row);
+        });
+    }
+
+    /**
+     * Opens a dialog to name a new isolation group, then picks its apps
+     * @private
+     */
+    _openIsolationGroupDialog(window) {
+        const dialog = new Adw.Window({
+            title: 'Add Isolation Group',
+            transient_for: window,
+            modal: true,
+            default_width: 420,
+        });
+
+        const toolbarView = new Adw.ToolbarView();
+        const headerBar = new Adw.HeaderBar({
+            show_end_title_buttons: false,
+        });
+
+        const cancelButton = new Gtk.Button({ label: 'Cancel' });
+        cancelButton.connect('clicked', () => dialog.close());
+        headerBar.pack_start(cancelButton);
+
+        const nextButton = new Gtk.Button({ label: 'Next' });
+        nextButton.add_css_class('suggested-action');
+        nextButton.sensitive = false;
+        headerBar.pack_end(nextButton);
+
+        toolbarView.add_top_bar(headerBar);
+
+        const group = new Adw.PreferencesGroup({
+            margin_start: 12,
+            margin_end: 12,
+            margin_top: 12,
+            margin_bottom: 12,
+        });
+
+        const nameRow = new Adw.EntryRow({
+            title: 'Group name, e.g. Video calls',
+        });
+
+        nameRow.connect('changed', () => {
+            const name = nameRow.text.trim();
+            const taken = name in this._getIsolationGroups(window);
+
+            if (taken) {
+                nameRow.add_css_class('error');
+            } else {
+                nameRow.remove_css_class('error');
+            }
+            nextButton.sensitive = name.length > 0 && !taken;
+        });
+
+        nextButton.connect('clicked', () => {
+            const name = nameRow.text.trim();
+            dialog.close();
+            this._openAppChooser(window, `Select Apps for ${name}`, [], appIds => {
+                const nextGroups = this._getIsolationGroups(window);
+                nextGroups[name] = appIds;
+                this._setIsolationGroups(window, nextGroups);
+            });
+        });
+
+        group.add(nameRow);
+        toolbarView.set_content(group);
+        dialog.set_content(toolbarView);
+        dialog.present();
+
+        nameRow.grab_focus();
+    }
+
+    /**
+     * Reads the isolation groups as a plain object
+     * @private
+     */
+    _getIsolationGroups(window) {
+        return window._settings.get_value(ExtensionConstants.SETTING_ISOLATION_GROUPS).deepUnpack();
+    }
+
+    /**
+     * Writes the isolation groups
+     * @private
+     */
+    _setIsolationGroups(window, groups) {
+        window._settings.set_value(
+            ExtensionConstants.SETTING_ISOLATION_GROUPS,
+            new GLib.Variant('a{sas}', groups)
+        );
+    }
+
+    /**
+     * Reads the per-app rules as a plain object
+     * @private
+     */
+    _getAppRules(window) {
+        return window._settings.get_value(ExtensionConstants.SETTING_APP_RULES).deepUnpack();
+    }
+
+    /**
+     * Writes the per-app rules
+     * @private
+     */
+    _setAppRules(window, rules) {
+        window._settings.set_value(
+            ExtensionConstants.SETTING_APP_RULES,
+            new GLib.Variant('a{sa{ss}}', rules)
+        );
+    }
+
     /**
      * Updates the add row subtitle based on current mode
      * @private
@@ -216,21 +870,30 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
      */
     _refreshAppList(window, group) {
         group._rowsCache = group._rowsCache || [];
+        const expanded = new Set(group._rowsCache
+            .filter(row => row.expanded)
+            .map(row => row._appId));
         group._rowsCache.forEach(row => group.remove(row));
         group._rowsCache = [];
 
         const mode = window._settings.get_string(ExtensionConstants.SETTING_FILTER_MODE);
-        const listKey = mode === 'whitelist' 
-            ? ExtensionConstants.SETTING_WHITELIST_APPS 
-            : ExtensionConstants.SETTING_BLACKLIST_APPS;
+        const listKey = this._getActiveListKey(window);
         const apps = window._settings.get_strv(listKey);
 
+        const schema = window._settings.settings_schema;
+        const hasRules = schema?.has_key?.(ExtensionConstants.SETTING_APP_RULES);
+        const rules = hasRules ? this._getAppRules(window) : {};
+        group._ruleAppIds = Object.keys(rules).sort().join('\n');
+
+        // Apps with rules but not on the list still get a row to edit them
+        const ruleOnlyApps = Object.keys(rules).filter(appId => !apps.includes(appId)).sort();
+
         group.title = mode === 'whitelist' ? 'Whitelisted Apps' : 'Blacklisted Apps';
         group.description = mode === 'whitelist'
-            ? 'Only windows from these apps are managed.'
-            : 'Windows from these apps are ignored.';
+            ? 'Only windows from these apps are managed. Expand an app to override its trigger, workspace placement and new window handling.'
+            : 'Windows from these apps are ignored. Use the add button to set rules for other apps.';
 
-        if (apps.length === 0) {
+        if (apps.length === 0 && ruleOnlyApps.length === 0) {
             const emptyRow = new Adw.ActionRow({
                 title: 'No applications added',
                 subtitle: 'Use the button above to add apps.',
@@ -242,53 +905,101 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
             }));
             group.add(emptyRow);
             group._rowsCache.push(emptyRow);
-        } else {
-            apps.forEach(appId => {
-                const appInfo = Gio.DesktopAppInfo.new(appId);
-                const row = new Adw.ActionRow({
-                    title: appInfo ? appInfo.get_display_name() : appId,
-                    subtitle: appId,
-                });
+            return;
+        }
+
+        apps.forEach(appId => {
+            // Blacklisted apps are never isolated, so rules would not apply
+            const withRules = hasRules && (mode === 'whitelist' || appId in rules);
+            const row = this._createAppListRow(window, appId, appId, withRules, expanded.has(appId));
+
+            const removeButton = new Gtk.Button({
+                icon_name: 'edit-delete-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: 'Remove',
+            });
+            removeButton.add_css_class('flat');
+            removeButton.add_css_class('circular');
+            removeButton.connect('clicked', () => this._removeAppFromList(window, listKey, appId));
 
-                // App icon
-                if (appInfo) {
-                    const icon = appInfo.get_icon();
-                    if (icon) {
-                        row.add_prefix(new Gtk.Image({
-                            gicon: icon,
-                            pixel_size: 32,
-                            valign: Gtk.Align.CENTER,
-                        }));
-                    }
-                }
+            row.add_suffix(removeButton);
+            group.add(row);
+            group._rowsCache.push(row);
+        });
 
-                const removeButton = new Gtk.Button({
-                    icon_name: 'edit-delete-symbolic',
-                    valign: Gtk.Align.CENTER,
-                    tooltip_text: 'Remove',
-                });
-                removeButton.add_css_class('flat');
-                removeButton.add_css_class('circular');
-                removeButton.connect('clicked', () => this._removeAppFromList(window, listKey, appId));
+        ruleOnlyApps.forEach(appId => {
+            const row = this._createAppListRow(window, appId,
+                `${appId} · rules only`, true, expanded.has(appId));
 
-                row.add_suffix(removeButton);
-                group.add(row);
-                group._rowsCache.push(row);
+            const removeButton = new Gtk.Button({
+                icon_name: 'edit-delete-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: 'Remove rules',
             });
-        }
+            removeButton.add_css_class('flat');
+            removeButton.add_css_class('circular');
+            removeButton.connect('clicked', () => {
+                const nextRules = this._getAppRules(window);
+                delete nextRules[appId];
+                this._setAppRules(window, nextRules);
+            });
+
+            row.add_suffix(removeButton);
+            group.add(row);
+            group._rowsCache.push(row);
+        });
     }
 
     /**
-     * Opens a multi-select app chooser dialog with search
+     * Creates an App List row, expandable to the app's rules
      * @private
      */
-    _openAppChooser(window, listKey) {
-        const currentList = window._settings.get_strv(listKey);
+    _createAppListRow(window, appId, subtitle, withRules, expanded) {
+        const appInfo = Gio.DesktopAppInfo.new(appId);
+        const title = appInfo ? appInfo.get_display_name() : appId;
+        const row = withRules
+            ? new Adw.ExpanderRow({ title, subtitle, expanded })
+            : new Adw.ActionRow({ title, subtitle });
+        row._appId = appId;
+
+        // App icon
+        if (appInfo) {
+            const icon = appInfo.get_icon();
+            if (icon) {
+                row.add_prefix(new Gtk.Image({
+                    gicon: icon,
+                    pixel_size: 32,
+                    valign: Gtk.Align.CENTER,
+                }));
+            }
+        }
+
+        if (withRules) {
+            this._addAppRuleRows(window, row, appId);
+        }
+
+        return row;
+    }
+
+    _getActiveListKey(window) {
         const mode = window._settings.get_string(ExtensionConstants.SETTING_FILTER_MODE);
+        return mode === 'whitelist'
+            ? ExtensionConstants.SETTING_WHITELIST_APPS
+            : ExtensionConstants.SETTING_BLACKLIST_APPS;
+    }
 
+    /**
+     * Opens a multi-select app chooser dialog with search
+     * @private
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {string} title - Dialog title
+     * @param {string[]} currentList - App IDs to leave out of the chooser
+     * @param {Function} onAdd - Called with the selected app IDs
+     */
+    _openAppChooser(window, title, currentList, onAdd) {
         // Create dialog window
         const dialog = new Adw.Window({
-            title: mode === 'whitelist' ? 'Select Apps to Whitelist' : 'Select Apps to Blacklist',
+            title: title,
             transient_for: window,
             modal: true,
             default_width: 400,
@@ -423,9 +1134,7 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
 
         // Handle add button
         addButton.connect('clicked', () => {
-            selectedApps.forEach(appId => {
-                this._addAppToList(window, listKey, appId);
-            });
+            onAdd([...selectedApps]);
             dialog.close();
         });
 
@@ -463,6 +1172,176 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
         window._settings.set_strv(listKey, next);
     }
 
+    /**
+     * Creates the monitors page with per-monitor management rules
+     * @private
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @returns {Adw.PreferencesPage} The monitors page
+     */
+    _createMonitorsPage(window) {
+        const page = new Adw.PreferencesPage({
+            title: 'Monitors',
+            icon_name: 'video-display-symbolic',
+        });
+
+        const group = new Adw.PreferencesGroup({
+            title: 'Known Monitors',
+            description: 'Choose which displays ScreenToSpace manages. A rule for a display applies wherever it is plugged in and wins over a rule for its connector; without either, the external monitor override decides.',
+        });
+
+        const schema = window._settings.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_KNOWN_MONITORS) ||
+            !schema?.has_key?.(ExtensionConstants.SETTING_MONITOR_POLICIES)) {
+            group.description = 'Choose which displays ScreenToSpace manages (update required)';
+            group.sensitive = false;
+            page.add(group);
+            return page;
+        }
+
+        this._refreshKnownMonitors(window, group);
+
+        window._settings.connect(`changed::${ExtensionConstants.SETTING_KNOWN_MONITORS}`, () => {
+            this._refreshKnownMonitors(window, group);
+        });
+
+        page.add(group);
+
+        const isolationGroup = new Adw.PreferencesGroup({
+            title: 'Multi-Monitor Isolation',
+            description: 'Applies when workspaces span all monitors',
+        });
+        isolationGroup.add(this._createSwitchRow(window,
+            ExtensionConstants.SETTING_ISOLATE_MONITOR_ONLY,
+            'Isolate only the active monitor',
+            'Keep windows on other monitors in view instead of moving them to the home workspace',
+            'view-dual-symbolic'));
+        page.add(isolationGroup);
+
+        return page;
+    }
+
+    /**
+     * Rebuilds the known monitor rows, keeping expanded monitors open
+     * @private
+     */
+    _refreshKnownMonitors(window, group) {
+        group._rowsCache = group._rowsCache || [];
+        const expanded = new Set(group._rowsCache
+            .filter(row => row.expanded)
+            .map(row => row._monitorId));
+        group._rowsCache.forEach(row => group.remove(row));
+        group._rowsCache = [];
+
+        const monitors = window._settings.get_value(ExtensionConstants.SETTING_KNOWN_MONITORS).deepUnpack();
+        const monitorIds = Object.keys(monitors).sort();
+
+        if (monitorIds.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: 'No monitors seen yet',
+                subtitle: 'Monitors are listed once they are connected while ScreenToSpace is enabled.',
+                sensitive: false,
+            });
+            emptyRow.add_prefix(new Gtk.Image({
+                icon_name: 'video-display-symbolic',
+                valign: Gtk.Align.CENTER,
+            }));
+            group.add(emptyRow);
+            group._rowsCache.push(emptyRow);
+            return;
+        }
+
+        monitorIds.forEach(monitorId => {
+            const monitor = monitors[monitorId];
+            const model = [monitor.vendor, monitor.product].filter(Boolean).join(' ');
+            const row = new Adw.ExpanderRow({
+                title: monitor.name || monitor.connector,
+                subtitle: [monitor.connector, model, monitor.builtin === 'true' ? 'built-in' : '']
+                    .filter(Boolean).join(' · '),
+                expanded: expanded.has(monitorId),
+            });
+            row._monitorId = monitorId;
+
+            row.add_prefix(new Gtk.Image({
+                icon_name: monitor.builtin === 'true' ? 'computer-symbolic' : 'video-display-symbolic',
+                valign: Gtk.Align.CENTER,
+            }));
+
+            row.add_row(this._createMonitorPolicyRow(window,
+                `${ExtensionConstants.MONITOR_MATCH_MODEL}${monitorId}`,
+                'This display', 'Wherever it is connected'));
+            row.add_row(this._createMonitorPolicyRow(window,
+                `${ExtensionConstants.MONITOR_MATCH_CONNECTOR}${monitor.connector}`,
+                `Connector ${monitor.connector}`, 'Any display plugged into this port'));
+
+            const removeButton = new Gtk.Button({
+                icon_name: 'edit-delete-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: 'Forget monitor',
+            });
+            removeButton.add_css_class('flat');
+            removeButton.add_css_class('circular');
+            removeButton.connect('clicked', () => {
+                const policies = this._getMonitorPolicies(window);
+                delete policies[`${ExtensionConstants.MONITOR_MATCH_MODEL}${monitorId}`];
+                this._setMonitorPolicies(window, policies);
+
+                const nextMonitors = window._settings.get_value(ExtensionConstants.SETTING_KNOWN_MONITORS).deepUnpack();
+                delete nextMonitors[monitorId];
+                window._settings.set_value(ExtensionConstants.SETTING_KNOWN_MONITORS,
+                    new GLib.Variant('a{sa{ss}}', nextMonitors));
+            });
+            row.add_suffix(removeButton);
+
+            group.add(row);
+            group._rowsCache.push(row);
+        });
+    }
+
+    /**
+     * Creates a combo row editing one monitor rule
+     * @private
+     */
+    _createMonitorPolicyRow(window, key, title, subtitle) {
+        const labels = ['Default', 'Manage', 'Never manage'];
+        const values = [
+            ExtensionConstants.RULE_DEFAULT,
+            ExtensionConstants.MONITOR_POLICY_MANAGE,
+            ExtensionConstants.MONITOR_POLICY_IGNORE,
+        ];
+        const current = this._getMonitorPolicies(window)[key] ?? ExtensionConstants.RULE_DEFAULT;
+
+        const row = new Adw.ComboRow({
+            title: title,
+            subtitle: subtitle,
+            model: Gtk.StringList.new(labels),
+            selected: Math.max(values.indexOf(current), 0),
+        });
+
+        row.connect('notify::selected', combo => {
+            const policies = this._getMonitorPolicies(window);
+            const nextValue = values[combo.selected] || values[0];
+            if (nextValue === ExtensionConstants.RULE_DEFAULT) {
+                delete policies[key];
+            } else {
+                policies[key] = nextValue;
+            }
+            this._setMonitorPolicies(window, policies);
+        });
+
+        return row;
+    }
+
+    _getMonitorPolicies(window) {
+        return window._settings.get_value(ExtensionConstants.SETTING_MONITOR_POLICIES).deepUnpack();
+    }
+
+    _setMonitorPolicies(window, policies) {
+        window._settings.set_value(
+            ExtensionConstants.SETTING_MONITOR_POLICIES,
+            new GLib.Variant('a{ss}', policies)
+        );
+    }
+
     /**
      * Creates the about page
      * @private
@@ -613,6 +1492,191 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
         return row;
     }
 
+    _createPlacementStrategyRow(window) {
+        return this._createStringComboRow(window,
+            ExtensionConstants.SETTING_PLACEMENT_STRATEGY,
+            'Workspace placement',
+            'Where the isolated workspace goes',
+            'view-paged-symbolic',
+            ['First free workspace', 'Right after current', 'At the end'],
+            [
+                ExtensionConstants.PLACEMENT_FIRST_FREE,
+                ExtensionConstants.PLACEMENT_ADJACENT,
+                ExtensionConstants.PLACEMENT_APPEND,
+            ]);
+    }
+
+    /**
+     * Creates a combo row bound to a string setting with fixed choices
+     * @private
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {string} key - Settings key
+     * @param {string} title - Row title
+     * @param {string} subtitle - Row subtitle
+     * @param {string} iconName - Prefix icon name
+     * @param {string[]} labels - Choice labels shown in the row
+     * @param {string[]} values - Setting values matching the labels
+     * @returns {Adw.ComboRow} The combo row
+     */
+    _createStringComboRow(window, key, title, subtitle, iconName, labels, values) {
+        const schema = window._settings.settings_schema;
+        const hasKey = schema?.has_key?.(key);
+        const current = hasKey ? window._settings.get_string(key) : values[0];
+
+        const row = new Adw.ComboRow({
+            title: title,
+            subtitle: subtitle,
+            model: Gtk.StringList.new(labels),
+            selected: Math.max(values.indexOf(current), 0),
+        });
+
+        row.add_prefix(new Gtk.Image({
+            icon_name: iconName,
+            valign: Gtk.Align.CENTER,
+        }));
+
+        if (hasKey) {
+            row.connect('notify::selected', combo => {
+                window._settings.set_string(key, values[combo.selected] || values[0]);
+            });
+
+            window._settings.connect(`changed::${key}`, () => {
+                row.selected = Math.max(values.indexOf(window._settings.get_string(key)), 0);
+            });
+        } else {
+            row.sensitive = false;
+            row.subtitle = `${subtitle} (update required)`;
+        }
+
+        return row;
+    }
+
+    _createManualMovePolicyRow(window) {
+        return this._createStringComboRow(window,
+            ExtensionConstants.SETTING_MANUAL_MOVE_POLICY,
+            'Manually moved windows',
+            'When an isolated window is dragged to another workspace or monitor',
+            'object-flip-horizontal-symbolic',
+            ['Keep tracking', 'Stop tracking'],
+            [
+                ExtensionConstants.MANUAL_MOVE_FOLLOW,
+                ExtensionConstants.MANUAL_MOVE_FORGET,
+            ]);
+    }
+
+    _createFilterChangeActionRow(window) {
+        return this._createStringComboRow(window,
+            ExtensionConstants.SETTING_FILTER_CHANGE_ACTION,
+            'When filters change',
+            'Return isolated windows that no longer match and isolate ones that now do',
+            'view-refresh-symbolic',
+            ['Ask', 'Apply right away', 'Only future windows'],
+            [
+                ExtensionConstants.FILTER_CHANGE_ASK,
+                ExtensionConstants.FILTER_CHANGE_APPLY,
+                ExtensionConstants.FILTER_CHANGE_IGNORE,
+            ]);
+    }
+
+    _createNewWindowPolicyRow(window) {
+        return this._createStringComboRow(window,
+            ExtensionConstants.SETTING_NEW_WINDOW_POLICY,
+            'New windows of isolated apps',
+            'Where they open; dialogs always follow their window',
+            'window-new-symbolic',
+            ['Isolate separately', 'Beside the isolated window', 'On the home workspace'],
+            [
+                ExtensionConstants.NEW_WINDOW_SEPARATE,
+                ExtensionConstants.NEW_WINDOW_BESIDE,
+                ExtensionConstants.NEW_WINDOW_HOME,
+            ]);
+    }
+
+    _createCoverageThresholdRow(window) {
+        return this._createIntSpinRow(window,
+            ExtensionConstants.SETTING_TRIGGER_COVERAGE_PERCENT,
+            'Coverage trigger (%)',
+            'Isolate windows resized to cover this much of the screen; 0 disables',
+            'zoom-fit-best-symbolic',
+            new Gtk.Adjustment({
+                lower: 0,
+                upper: 100,
+                step_increment: 5,
+                page_increment: 10,
+            }));
+    }
+
+    _createSettleDelayRow(window) {
+        return this._createIntSpinRow(window,
+            ExtensionConstants.SETTING_SETTLE_DELAY,
+            'Settle delay (ms)',
+            'Wait this long for a window to keep its new state before moving it',
+            'preferences-system-time-symbolic',
+            new Gtk.Adjustment({
+                lower: 0,
+                upper: 5000,
+                step_increment: 50,
+                page_increment: 500,
+            }));
+    }
+
+    _createMaxCreatedWorkspacesRow(window) {
+        return this._createIntSpinRow(window,
+            ExtensionConstants.SETTING_MAX_CREATED_WORKSPACES,
+            'Extra workspaces limit',
+            'With static workspaces, how many workspaces may be added when all are occupied',
+            'list-add-symbolic',
+            new Gtk.Adjustment({
+                lower: 0,
+                upper: 16,
+                step_increment: 1,
+                page_increment: 4,
+            }));
+    }
+
+    /**
+     * Creates a spin row bound to an integer setting
+     * @private
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {string} key - Settings key
+     * @param {string} title - Row title
+     * @param {string} subtitle - Row subtitle
+     * @param {string} iconName - Prefix icon name
+     * @param {Gtk.Adjustment} adjustment - Range and steps of the value
+     * @returns {Adw.SpinRow} The spin row
+     */
+    _createIntSpinRow(window, key, title, subtitle, iconName, adjustment) {
+        const schema = window._settings.settings_schema;
+        const hasKey = schema?.has_key?.(key);
+
+        const row = new Adw.SpinRow({
+            title: title,
+            subtitle: subtitle,
+            adjustment: adjustment,
+            value: hasKey ? window._settings.get_int(key) : 0,
+        });
+
+        row.add_prefix(new Gtk.Image({
+            icon_name: iconName,
+            valign: Gtk.Align.CENTER,
+        }));
+
+        if (hasKey) {
+            row.connect('notify::value', spin => {
+                window._settings.set_int(key, spin.value);
+            });
+
+            window._settings.connect(`changed::${key}`, () => {
+                row.value = window._settings.get_int(key);
+            });
+        } else {
+            row.sensitive = false;
+            row.subtitle = `${subtitle} (update required)`;
+        }
+
+        return row;
+    }
+
     _createOverrideModifierRow(window) {
         const labels = ['None', 'Alt', 'Super', 'Ctrl', 'Shift'];
         const values = ['none', 'alt', 'super', 'ctrl', 'shift'];
@@ -691,4 +1755,147 @@ export default class ScreenToSpacePreferences extends ExtensionPreferences {
 
         return row;
     }
+
+    /**
+     * Creates a row showing and editing a keyboard shortcut
+     * @private
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {string} key - Settings key holding the accelerator list
+     * @param {string} title - Row title
+     * @param {string} subtitle - Row subtitle
+     * @returns {Adw.ActionRow} The shortcut row
+     */
+    _createShortcutRow(window, key, title, subtitle) {
+        const schema = window._settings.settings_schema;
+        const hasKey = schema?.has_key?.(key);
+
+        const row = new Adw.ActionRow({
+            title: title,
+            subtitle: subtitle,
+            activatable: hasKey,
+        });
+
+        const shortcutLabel = new Gtk.ShortcutLabel({
+            disabled_text: 'Disabled',
+            valign: Gtk.Align.CENTER,
+        });
+        row.add_suffix(shortcutLabel);
+
+        if (!hasKey) {
+            row.sensitive = false;
+            row.subtitle = `${subtitle} (update required)`;
+            return row;
+        }
+
+        const syncLabel = () => {
+            shortcutLabel.accelerator = window._settings.get_strv(key)[0] ?? '';
+        };
+        syncLabel();
+
+        window._settings.connect(`changed::${key}`, syncLabel);
+        row.connect('activated', () => this._openShortcutDialog(window, key, title));
+
+        return row;
+    }
+
+    /**
+     * Opens a dialog that captures the next key combination
+     * @private
+     */
+    _openShortcutDialog(window, key, title) {
+        const dialog = new Adw.Window({
+            title: title,
+            transient_for: window,
+            modal: true,
+            default_width: 400,
+            default_height: 260,
+        });
+
+        const toolbarView = new Adw.ToolbarView();
+        toolbarView.add_top_bar(new Adw.HeaderBar());
+        toolbarView.set_content(new Adw.StatusPage({
+            icon_name: 'preferences-desktop-keyboard-shortcuts-symbolic',
+            title: 'Press a shortcut',
+            description: 'Press Esc to cancel or Backspace to disable the shortcut',
+        }));
+        dialog.set_content(toolbarView);
+
+        const controller = new Gtk.EventControllerKey();
+        controller.connect('key-pressed', (_, keyval, keycode, state) => {
+            const mask = state & Gtk.accelerator_get_default_mod_mask();
+
+            if (mask === 0 && keyval === Gdk.KEY_Escape) {
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+
+            if (mask === 0 && keyval === Gdk.KEY_BackSpace) {
+                window._settings.set_strv(key, []);
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+
+            // Ignore lone modifiers and other incomplete combinations
+            if (!Gtk.accelerator_valid(keyval, mask)) {
+                return Gdk.EVENT_STOP;
+            }
+
+            window._settings.set_strv(key, [
+                Gtk.accelerator_name_with_keycode(null, keyval, keycode, mask),
+            ]);
+            dialog.close();
+            return Gdk.EVENT_STOP;
+        });
+        dialog.add_controller(controller);
+
+        dialog.present();
+    }
+
+    /**
+     * Creates a row with a switch bound to a boolean setting
+     * @private
+     * @param {Adw.PreferencesWindow} window - The preferences window
+     * @param {string} key - Boolean settings key
+     * @param {string} title - Row title
+     * @param {string} subtitle - Row subtitle
+     * @param {string} iconName - Prefix icon name
+     * @returns {Adw.ActionRow} The switch row
+     */
+    _createSwitchRow(window, key, title, subtitle, iconName) {
+        const schema = window._settings.settings_schema;
+        const hasKey = schema?.has_key?.(key);
+
+        const row = new Adw.ActionRow({
+            title: title,
+            subtitle: subtitle,
+        });
+
+        row.add_prefix(new Gtk.Image({
+            icon_name: iconName,
+            valign: Gtk.Align.CENTER,
+        }));
+
+        const toggle = new Gtk.Switch({
+            active: hasKey ? window._settings.get_boolean(key) : false,
+            valign: Gtk.Align.CENTER,
+        });
+
+        row.add_suffix(toggle);
+        row.activatable_widget = toggle;
+
+        if (hasKey) {
+            toggle.connect('notify::active', switchWidget => {
+                window._settings.set_boolean(key, switchWidget.active);
+            });
+
+            window._settings.connect(`changed::${key}`, () => {
+                toggle.active = window._settings.get_boolean(key);
+            });
+        } else {
+            row.sensitive = false;
+            row.subtitle = `${subtitle} (update required)`;
+        }
+
+        return row;
+    }
 }
@@ -0,0 +1,128 @@
+/**
+ * ScreenToSpace - Quick Settings
+ * 
+ * Quick Settings toggle to pause and resume automatic isolation,
+ * with a submenu for timed pauses.
+ * 
+ * @author DilZhaan
+ * @license GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as QuickSettings from 'resource:///org/gnome/shell/ui/quickSettings.js';
+import { ExtensionConstants } from './constants.js';
+
+const ICON_NAME = 'view-fullscreen-symbolic';
+
+const PAUSE_DURATIONS = [
+    { label: 'Pause for 30 minutes', seconds: 30 * 60 },
+    { label: 'Pause for 1 hour', seconds: 60 * 60 },
+    { label: 'Pause until logout', seconds: 0 },
+];
+
+/**
+ * Toggle that is checked while ScreenToSpace is running
+ */
+const PauseToggle = GObject.registerClass(
+class PauseToggle extends QuickSettings.QuickMenuToggle {
+    _init(pauseController, placementHandler) {
+        super._init({
+            title: ExtensionConstants.NAME,
+            iconName: ICON_NAME,
+            toggleMode: true,
+        });
+
+        this._pauseController = pauseController;
+        this._placementHandler = placementHandler;
+
+        this.menu.setHeader(ICON_NAME, ExtensionConstants.NAME, 'Pause automatic workspace isolation');
+
+        PAUSE_DURATIONS.forEach(({ label, seconds }) => {
+            this.menu.addAction(label, () => this._pauseController.pause(seconds));
+        });
+
+        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this._resumeItem = this.menu.addAction('Resume now', () => this._pauseController.resume());
+        this._returnAllItem = this.menu.addAction('Return all windows home',
+            () => this._placementHandler.returnAllWindows());
+
+        this.menu.connect('open-state-changed', (_, open) => {
+            if (open) {
+                this._returnAllItem.visible = this._placementHandler.getPlacedWindows().length > 0;
+            }
+        });
+
+        this.connect('notify::checked', () => {
+            if (this.checked) {
+                this._pauseController.resume();
+            } else if (!this._pauseController.isPaused()) {
+                this._pauseController.pause();
+            }
+        });
+
+        this._pauseSignal = this._pauseController.connect(ExtensionConstants.EVENT_PAUSE_CHANGED,
+            () => this._sync());
+        this._sync();
+    }
+
+    _sync() {
+        const paused = this._pauseController.isPaused();
+        this.checked = !paused;
+        this.subtitle = this._getStatusText();
+        this._resumeItem.visible = paused;
+    }
+
+    _getStatusText() {
+        if (!this._pauseController.isPaused()) {
+            return 'Active';
+        }
+
+        const resumeAt = this._pauseController.getResumeTime();
+        if (!resumeAt) {
+            return 'Paused';
+        }
+
+        const time = GLib.DateTime.new_from_unix_local(Math.floor(resumeAt / GLib.USEC_PER_SEC));
+        return `Paused until ${time.format('%R')}`;
+    }
+
+    destroy() {
+        this._pauseController.disconnect(this._pauseSignal);
+        this._pauseController = null;
+        this._placementHandler = null;
+        super.destroy();
+    }
+});
+
+/**
+ * Quick Settings indicator holding the pause toggle; its top-bar icon
+ * is only visible while paused
+ */
+export const QuickSettingsIndicator = GObject.registerClass(
+class QuickSettingsIndicator extends QuickSettings.SystemIndicator {
+    _init(pauseController, placementHandler) {
+        super._init();
+
+        this._pauseController = pauseController;
+
+        this._indicator = this._addIndicator();
+        this._indicator.icon_name = ICON_NAME;
+
+        this.quickSettingsItems.push(new PauseToggle(pauseController, placementHandler));
+
+        this._pauseSignal = this._pauseController.connect(ExtensionConstants.EVENT_PAUSE_CHANGED,
+            (_, paused) => {
+                this._indicator.visible = paused;
+            });
+        this._indicator.visible = this._pauseController.isPaused();
+    }
+
+    destroy() {
+        this._pauseController.disconnect(this._pauseSignal);
+        this._pauseController = null;
+        this.quickSettingsItems.forEach(item => item.destroy());
+        super.destroy();
+    }
+});
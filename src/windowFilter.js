@@ -9,14 +9,39 @@
  */
 
 import Meta from 'gi://Meta';
+import { EventEmitter } from 'resource:///org/gnome/shell/misc/signals.js';
 import { ExtensionConstants } from './constants.js';
 
+// Settings that decide which windows are isolated
+const FILTER_KEYS = [
+    ExtensionConstants.SETTING_FILTER_MODE,
+    ExtensionConstants.SETTING_BLACKLIST_APPS,
+    ExtensionConstants.SETTING_WHITELIST_APPS,
+    ExtensionConstants.SETTING_BLACKLIST_PATTERNS,
+    ExtensionConstants.SETTING_WHITELIST_PATTERNS,
+    ExtensionConstants.SETTING_APP_RULES,
+    ExtensionConstants.SETTING_TRIGGER_ON_MAXIMIZE,
+    ExtensionConstants.SETTING_TRIGGER_ON_FULLSCREEN,
+    ExtensionConstants.SETTING_TRIGGER_ON_TILING,
+    ExtensionConstants.SETTING_TRIGGER_COVERAGE_PERCENT,
+];
+
 /**
  * Filters and validates windows for placement
+ * 
+ * Emits 'filter-changed' whenever a setting that affects filtering changes.
  */
-export class WindowFilter {
+export class WindowFilter extends EventEmitter {
     constructor(settings) {
+        super();
+
         this._settings = settings;
+        // Parsed values of settings read on every window state change
+        this._settingsCache = new Map();
+        this._settingsSignals = FILTER_KEYS.map(key => settings.connect(`changed::${key}`, () => {
+            this._settingsCache.delete(key);
+            this.emit(ExtensionConstants.EVENT_FILTER_CHANGED, key);
+        }));
     }
 
     /**
@@ -48,15 +73,35 @@ export class WindowFilter {
      * @returns {boolean}
      */
     shouldPlaceOnNewWorkspace(window) {
+        return this.getStateTrigger(window) !== null;
+    }
+
+    /**
+     * Resolves which trigger the window's current state fires
+     * @param {Object} window - Meta window object
+     * @returns {string|null} Trigger name or null if it should not be isolated
+     */
+    getStateTrigger(window) {
         if (!this.isManagedWindow(window)) {
-            return false;
+            return null;
         }
 
-        const triggerOnMaximize = this._getTriggerOnMaximizeEnabled();
-        const triggerOnFullscreen = this._getTriggerOnFullscreenEnabled();
+        const triggers = this._getTriggersForWindow(window);
+
+        if (triggers.fullscreen && window.fullscreen) {
+            return ExtensionConstants.TRIGGER_FULLSCREEN;
+        }
+        if (triggers.maximize && window.is_maximized()) {
+            return ExtensionConstants.TRIGGER_MAXIMIZE;
+        }
+        if (triggers.tiling && this._isHalfTiled(window)) {
+            return ExtensionConstants.TRIGGER_TILING;
+        }
+        if (this.shouldPlaceOnCoverage(window)) {
+            return ExtensionConstants.TRIGGER_COVERAGE;
+        }
 
-        return (triggerOnMaximize && window.is_maximized()) ||
-               (triggerOnFullscreen && window.fullscreen);
+        return null;
     }
 
     /**
@@ -66,48 +111,305 @@ export class WindowFilter {
      * @returns {boolean}
      */
     shouldPlaceOnSizeChange(window, change) {
+        return this.getSizeChangeTrigger(window, change) !== null;
+    }
+
+    /**
+     * Resolves which trigger a size change fires
+     * @param {Object} window - Meta window object
+     * @param {Meta.SizeChange} change - The type of size change
+     * @returns {string|null} Trigger name or null if it should not be isolated
+     */
+    getSizeChangeTrigger(window, change) {
         if (!this.isManagedWindow(window)) {
-            return false;
+            return null;
+        }
+
+        const triggers = this._getTriggersForWindow(window);
+
+        // Mutter reports half-tiling as a partial maximize
+        if (change === Meta.SizeChange.MAXIMIZE) {
+            if (triggers.maximize && window.is_maximized()) {
+                return ExtensionConstants.TRIGGER_MAXIMIZE;
+            }
+            if (triggers.tiling && this._isHalfTiled(window)) {
+                return ExtensionConstants.TRIGGER_TILING;
+            }
         }
 
-        const triggerOnMaximize = this._getTriggerOnMaximizeEnabled();
-        const triggerOnFullscreen = this._getTriggerOnFullscreenEnabled();
+        if (change === Meta.SizeChange.FULLSCREEN && triggers.fullscreen) {
+            return ExtensionConstants.TRIGGER_FULLSCREEN;
+        }
 
-        const isMaximizing = triggerOnMaximize &&
-                            change === Meta.SizeChange.MAXIMIZE &&
-                            window.is_maximized();
-        const isFullscreening = triggerOnFullscreen &&
-                               change === Meta.SizeChange.FULLSCREEN;
+        return null;
+    }
+
+    /**
+     * Checks if a window was resized to cover enough of its work area
+     * to be isolated
+     * @param {Object} window - Meta window object
+     * @returns {boolean}
+     */
+    shouldPlaceOnCoverage(window) {
+        if (this._getCoverageThreshold() <= 0) {
+            return false;
+        }
+
+        if (!this.isManagedWindow(window) || window.is_maximized() || window.fullscreen) {
+            return false;
+        }
 
-        return isMaximizing || isFullscreening;
+        const { coverage } = this._getTriggersForWindow(window);
+        return coverage > 0 && this.getWorkAreaCoverage(window) >= coverage;
     }
 
     /**
-     * Checks if a size change warrants returning to old workspace
+     * Checks if a window isolated by the coverage trigger was resized
+     * below the threshold
      * @param {Object} window - Meta window object
-     * @param {Meta.SizeChange} change - The type of size change
-     * @param {Meta.Rectangle} oldRect - Previous window rectangle
      * @returns {boolean}
      */
-    shouldReturnOnSizeChange(window, change, oldRect) {
-        if (!this.isManagedWindow(window)) {
+    shouldReturnOnCoverage(window) {
+        if (this._getCoverageThreshold() <= 0) {
             return false;
         }
 
+        // Already isolated, so app filter changes must not keep it stranded
+        if (!this.isNormalWindow(window) || window.is_maximized() || window.fullscreen) {
+            return false;
+        }
+
+        const { coverage } = this._getTriggersForWindow(window);
+        return coverage > 0 && this.getWorkAreaCoverage(window) < coverage;
+    }
+
+    /**
+     * Returns how much of its monitor's work area a window covers
+     * @param {Object} window - Meta window object
+     * @returns {number} Percentage between 0 and 100
+     */
+    getWorkAreaCoverage(window) {
         const workArea = window.get_work_area_for_monitor(window.get_monitor());
+        const rect = window.get_frame_rect();
+
+        const width = Math.min(rect.x + rect.width, workArea.x + workArea.width) - Math.max(rect.x, workArea.x);
+        const height = Math.min(rect.y + rect.height, workArea.y + workArea.height) - Math.max(rect.y, workArea.y);
+        if (width <= 0 || height <= 0 || workArea.width <= 0 || workArea.height <= 0) {
+            return 0;
+        }
+
+        return (width * height * 100) / (workArea.width * workArea.height);
+    }
+
+    /**
+     * Checks whether a rectangle has the shape of a left or right half tile:
+     * the full work area height along one edge
+     * @param {Object} rect - Rectangle with x, y, width and height
+     * @param {Object} workArea - Monitor work area
+     * @returns {boolean}
+     */
+    isTileRect(rect, workArea) {
+        return rect.y === workArea.y &&
+               rect.height === workArea.height &&
+               rect.width < workArea.width &&
+               (rect.x === workArea.x || rect.x + rect.width === workArea.x + workArea.width);
+    }
+
+    _isHalfTiled(window) {
+        return window.maximized_vertically && !window.maximized_horizontally;
+    }
+
+    /**
+     * Checks if a placed window has left the state that isolated it.
+     * Works from the window's current maximize/fullscreen flags rather
+     * than rectangles, so drag-unmaximize, keyboard untiling and work
+     * area changes are all covered.
+     * @param {Object} window - Meta window object
+     * @param {string|null} trigger - What isolated the window
+     * @returns {boolean}
+     */
+    shouldReturnOnStateChange(window, trigger) {
+        // Only isolated windows are returned; they stay eligible even if
+        // a title change means they no longer match a pattern
+        if (!this.isNormalWindow(window)) {
+            return false;
+        }
+
+        const maximized = window.is_maximized();
+        const fullscreen = window.fullscreen;
+        const triggers = this._getTriggersForWindow(window);
+        const tiled = triggers.tiling && this._isHalfTiled(window);
+
+        switch (trigger) {
+            case ExtensionConstants.TRIGGER_COVERAGE:
+                // Coverage returns are decided by size, not state
+                return false;
+            case ExtensionConstants.TRIGGER_FULLSCREEN:
+                return !fullscreen && !(triggers.maximize && maximized) && !tiled;
+            case ExtensionConstants.TRIGGER_TILING:
+                return !fullscreen && !maximized && !this._isHalfTiled(window);
+            default:
+                return !fullscreen && !maximized && !tiled;
+        }
+    }
+
+    /**
+     * Returns the per-app rule configured for the window's app
+     * @param {Object} window - Meta window object
+     * @returns {Object|null} Rule fields (trigger, placement) or null
+     */
+    getAppRule(window) {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_APP_RULES)) {
+            return null;
+        }
+
+        const appId = this._normalizeAppId(this._getWindowAppId(window));
+        if (!appId) {
+            return null;
+        }
+
+        const rules = this._getCached(ExtensionConstants.SETTING_APP_RULES, () => {
+            const normalized = new Map();
+            const value = this._settings.get_value(ExtensionConstants.SETTING_APP_RULES).deepUnpack();
+            for (const [ruleAppId, rule] of Object.entries(value)) {
+                const id = this._normalizeAppId(ruleAppId);
+                if (id && !normalized.has(id)) {
+                    normalized.set(id, rule);
+                }
+            }
+            return normalized;
+        });
+
+        return rules.get(appId) ?? null;
+    }
+
+    /**
+     * Checks whether two windows belong to the same application
+     * @param {Object} window - Meta window object
+     * @param {Object} otherWindow - Meta window object
+     * @returns {boolean}
+     */
+    isSameApp(window, otherWindow) {
+        const appId = this._normalizeAppId(this._getWindowAppId(window));
+        return !!appId && appId === this._normalizeAppId(this._getWindowAppId(otherWindow));
+    }
+
+    /**
+     * Returns the isolation group the window's app belongs to
+     * @param {Object} window - Meta window object
+     * @returns {string|null} Group name or null
+     */
+    getIsolationGroup(window) {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_ISOLATION_GROUPS)) {
+            return null;
+        }
+
+        const appId = this._normalizeAppId(this._getWindowAppId(window));
+        if (!appId) {
+            return null;
+        }
+
+        const groups = this._settings.get_value(ExtensionConstants.SETTING_ISOLATION_GROUPS).deepUnpack();
+        for (const [name, appIds] of Object.entries(groups)) {
+            if (appIds.some(id => this._normalizeAppId(id) === appId)) {
+                return name;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns where a new window should open while its app has an
+     * isolated window, applying the per-app rule over the global setting
+     * @param {Object} window - Meta window object
+     * @returns {string} One of the NEW_WINDOW_* policies
+     */
+    getNewWindowPolicy(window) {
+        const policy = this.getAppRule(window)?.[ExtensionConstants.RULE_NEW_WINDOWS];
+        if (policy && policy !== ExtensionConstants.RULE_DEFAULT) {
+            return policy;
+        }
+
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_NEW_WINDOW_POLICY)) {
+            return ExtensionConstants.NEW_WINDOW_SEPARATE;
+        }
+
+        return this._settings.get_string(ExtensionConstants.SETTING_NEW_WINDOW_POLICY);
+    }
+
+    /**
+     * Returns the placement strategy override for the window's app
+     * @param {Object} window - Meta window object
+     * @returns {string|null} Strategy or null to use the global setting
+     */
+    getPlacementStrategy(window) {
+        const placement = this.getAppRule(window)?.[ExtensionConstants.RULE_PLACEMENT];
+        return placement && placement !== ExtensionConstants.RULE_DEFAULT ? placement : null;
+    }
+
+    /**
+     * Resolves which state changes trigger isolation for a window,
+     * applying its per-app rule over the global toggles
+     * @private
+     * @param {Object} window - Meta window object
+     * @returns {{maximize: boolean, fullscreen: boolean, tiling: boolean, coverage: number}}
+     */
+    _getTriggersForWindow(window) {
+        const trigger = this.getAppRule(window)?.[ExtensionConstants.RULE_TRIGGER];
+
+        // Tiling and coverage triggers stay global unless the app opts out entirely
+        const extra = trigger === ExtensionConstants.TRIGGER_NEVER
+            ? { tiling: false, coverage: 0 }
+            : { tiling: this._getTriggerOnTilingEnabled(), coverage: this._getCoverageThreshold() };
+
+        switch (trigger) {
+            case ExtensionConstants.TRIGGER_MAXIMIZE:
+                return { maximize: true, fullscreen: false, ...extra };
+            case ExtensionConstants.TRIGGER_FULLSCREEN:
+                return { maximize: false, fullscreen: true, ...extra };
+            case ExtensionConstants.TRIGGER_BOTH:
+                return { maximize: true, fullscreen: true, ...extra };
+            case ExtensionConstants.TRIGGER_NEVER:
+                return { maximize: false, fullscreen: false, ...extra };
+            default:
+                return {
+                    maximize: this._getTriggerOnMaximizeEnabled(),
+                    fullscreen: this._getTriggerOnFullscreenEnabled(),
+                    ...extra,
+                };
+        }
+    }
+
+    /**
+     * Returns whether half-tiling should trigger moving.
+     * @private
+     * @returns {boolean}
+     */
+    _getTriggerOnTilingEnabled() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_TRIGGER_ON_TILING)) {
+            return false;
+        }
 
-        const triggerOnMaximize = this._getTriggerOnMaximizeEnabled();
-        const triggerOnFullscreen = this._getTriggerOnFullscreenEnabled();
-        
-        const isUnmaximizing = triggerOnMaximize && 
-                              change === Meta.SizeChange.UNMAXIMIZE &&
-                              workArea.equal(oldRect);
-        
-        const isUnfullscreening = triggerOnFullscreen &&
-                                 change === Meta.SizeChange.UNFULLSCREEN &&
-                                 (!triggerOnMaximize || !window.is_maximized());
+        return this._settings.get_boolean(ExtensionConstants.SETTING_TRIGGER_ON_TILING);
+    }
+
+    /**
+     * Returns the work area coverage percentage that triggers moving.
+     * @private
+     * @returns {number} Threshold, or 0 when disabled
+     */
+    _getCoverageThreshold() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_TRIGGER_COVERAGE_PERCENT)) {
+            return 0;
+        }
 
-        return isUnmaximizing || isUnfullscreening;
+        return this._settings.get_int(ExtensionConstants.SETTING_TRIGGER_COVERAGE_PERCENT);
     }
 
     /**
@@ -146,48 +448,167 @@ export class WindowFilter {
      */
     _isAppAllowed(window) {
         const mode = this._settings.get_string(ExtensionConstants.SETTING_FILTER_MODE);
-        const normalizeId = (id) => {
-            if (!id) {
-                return null;
+
+        const blacklist = this._getAppIdSet(ExtensionConstants.SETTING_BLACKLIST_APPS);
+        const whitelist = this._getAppIdSet(ExtensionConstants.SETTING_WHITELIST_APPS);
+        const blacklistPatterns = this._getPatternRules(ExtensionConstants.SETTING_BLACKLIST_PATTERNS);
+        const whitelistPatterns = this._getPatternRules(ExtensionConstants.SETTING_WHITELIST_PATTERNS);
+
+        const appId = this._normalizeAppId(this._getWindowAppId(window));
+
+        if (mode === 'whitelist') {
+            if (whitelist.size === 0 && whitelistPatterns.length === 0) {
+                return false;
+            }
+
+            return (appId ? whitelist.has(appId) : false) ||
+                   this._matchesPatterns(window, whitelistPatterns);
+        }
+
+        if (mode === 'blacklist') {
+            if (this._matchesPatterns(window, blacklistPatterns)) {
+                return false;
+            }
+
+            if (!appId) {
+                return blacklist.size === 0 && blacklistPatterns.length === 0;
             }
 
-            const lower = id.toLowerCase();
-            return lower.endsWith('.desktop') ? lower.slice(0, -8) : lower;
-        };
+            return !blacklist.has(appId);
+        }
+
+        return true;
+    }
+
+    /**
+     * Returns the parsed value of a settings key, parsing it only once
+     * until the key changes
+     * @private
+     * @param {string} key - Settings key
+     * @param {Function} parse - Builds the value from the current setting
+     * @returns {*}
+     */
+    _getCached(key, parse) {
+        if (!this._settingsCache.has(key)) {
+            this._settingsCache.set(key, parse());
+        }
+
+        return this._settingsCache.get(key);
+    }
 
-        const toNormalizedSet = (list) => {
+    /**
+     * Returns the normalized app ids stored in an app list key
+     * @private
+     * @param {string} key - Settings key holding app ids
+     * @returns {Set<string>}
+     */
+    _getAppIdSet(key) {
+        return this._getCached(key, () => {
             const set = new Set();
-            list.forEach(id => {
-                const normalized = normalizeId(id);
+            this._settings.get_strv(key).forEach(id => {
+                const normalized = this._normalizeAppId(id);
                 if (normalized) {
                     set.add(normalized);
                 }
             });
             return set;
-        };
+        });
+    }
 
-        const blacklist = toNormalizedSet(this._settings.get_strv(ExtensionConstants.SETTING_BLACKLIST_APPS));
-        const whitelist = toNormalizedSet(this._settings.get_strv(ExtensionConstants.SETTING_WHITELIST_APPS));
+    /**
+     * Returns the compiled pattern rules stored under a settings key
+     * Invalid regular expressions are skipped.
+     * @private
+     * @param {string} key - Settings key holding (field, syntax, pattern) tuples
+     * @returns {Array<{field: string, regex: RegExp}>}
+     */
+    _getPatternRules(key) {
+        return this._getCached(key, () => {
+            const schema = this._settings?.settings_schema;
+            const rules = [];
+
+            if (schema?.has_key?.(key)) {
+                this._settings.get_value(key).deepUnpack().forEach(([field, syntax, pattern]) => {
+                    const regex = this._compilePattern(syntax, pattern);
+                    if (regex) {
+                        rules.push({ field, regex });
+                    }
+                });
+            }
 
-        const appId = normalizeId(this._getWindowAppId(window));
+            return rules;
+        });
+    }
 
-        if (mode === 'whitelist') {
-            if (whitelist.size === 0) {
-                return false;
+    /**
+     * Compiles a glob or regex pattern into a case-insensitive RegExp
+     * @private
+     * @returns {RegExp|null}
+     */
+    _compilePattern(syntax, pattern) {
+        if (!pattern) {
+            return null;
+        }
+
+        try {
+            if (syntax === ExtensionConstants.PATTERN_SYNTAX_REGEX) {
+                return new RegExp(pattern, 'i');
             }
 
-            return appId ? whitelist.has(appId) : false;
+            const source = pattern
+                .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, '.*')
+                .replace(/\?/g, '.');
+            return new RegExp(`^${source}$`, 'i');
+        } catch (error) {
+            return null;
         }
+    }
 
-        if (mode === 'blacklist') {
-            if (!appId) {
-                return blacklist.size === 0;
-            }
+    /**
+     * Checks whether any pattern rule matches the window
+     * @private
+     */
+    _matchesPatterns(window, rules) {
+        return rules.some(({ field, regex }) => {
+            const value = this._getWindowField(window, field);
+            return value !== null && regex.test(value);
+        });
+    }
 
-            return !blacklist.has(appId);
+    /**
+     * Reads the window property a pattern rule matches against
+     * @private
+     * @returns {string|null}
+     */
+    _getWindowField(window, field) {
+        switch (field) {
+            case ExtensionConstants.PATTERN_FIELD_APP_ID:
+                return window.get_gtk_application_id?.() ?? null;
+            case ExtensionConstants.PATTERN_FIELD_WM_CLASS:
+                return window.get_wm_class?.() ?? null;
+            case ExtensionConstants.PATTERN_FIELD_WM_CLASS_INSTANCE:
+                return window.get_wm_class_instance?.() ?? null;
+            case ExtensionConstants.PATTERN_FIELD_TITLE:
+                return window.get_title?.() ?? null;
+            default:
+                return null;
         }
+    }
 
-        return true;
+    /**
+     * Normalizes an app ID for comparison (lowercase, no .desktop suffix)
+     * @private
+     * @param {string|null} id - App ID
+     * @returns {string|null}
+     */
+    _normalizeAppId(id) {
+        if (!id) {
+            return null;
+        }
+
+        const lower = id.toLowerCase();
+        return lower.endsWith('.desktop') ? lower.slice(0, -8) : lower;
     }
 
     /**
@@ -216,6 +637,9 @@ export class WindowFilter {
      * Cleanup resources
      */
     destroy() {
+        this._settingsSignals.forEach(handle => this._settings.disconnect(handle));
+        this._settingsSignals = [];
+        this._settingsCache.clear();
         this._settings = null;
     }
 }
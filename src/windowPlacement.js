@@ -10,24 +10,54 @@
 
 import { ExtensionConstants } from './constants.js';
 import GLib from 'gi://GLib';
+import { EventEmitter } from 'resource:///org/gnome/shell/misc/signals.js';
 
 /**
  * Handles placing windows on appropriate workspaces
+ * 
+ * Signals:
+ * - 'window-placed' (window, placedInfo)
+ * - 'window-returned' (window, placedInfo)
+ * - 'window-forgotten' (window, placedInfo): tracking dropped without a return
  */
-export class WindowPlacementHandler {
-    constructor(workspaceManager, settings) {
+export class WindowPlacementHandler extends EventEmitter {
+    constructor(workspaceManager, settings, windowFilter) {
+        super();
         this._workspaceManager = workspaceManager;
         this._settings = settings;
+        this._windowFilter = windowFilter;
         this._placedWindows = new Map();
         this._pendingOperations = new Set();
         this._activationSourceIds = new Set();
+        this._layoutBeforePlacement = null;
+        this._geometryBeforePlacement = null;
+        this._placementTrigger = null;
+        this._lastPlacement = null;
+        this._batching = false;
+
+        // Keep each record's home index in step with its workspace object
+        const manager = global.workspace_manager;
+        this._workspaceSignals = [
+            manager.connect(ExtensionConstants.SIGNAL_WORKSPACES_REORDERED, () => this._syncHomeWorkspaces()),
+            manager.connect(ExtensionConstants.SIGNAL_WORKSPACE_ADDED, () => this._syncHomeWorkspaces()),
+            manager.connect(ExtensionConstants.SIGNAL_WORKSPACE_REMOVED, () => this._syncHomeWorkspaces()),
+        ];
+
+        // Notice when the user drags an isolated window elsewhere or
+        // changes its maximize/fullscreen state
+        this._windowSignals = new Map();
+        this._monitorSignal = global.display.connect(ExtensionConstants.SIGNAL_WINDOW_ENTERED_MONITOR,
+            (display, monitor, window) => this._onWindowEnteredMonitor(window, monitor));
     }
 
     /**
      * Places a window on a new workspace if needed
      * @param {Object} window - Meta window object
+     * @param {Object} [options] - Placement options
+     * @param {Object} [options.frameRect] - Frame rect before the window was maximized
+     * @param {string} [options.trigger] - What caused the isolation (a TRIGGER_* name)
      */
-    placeWindowOnWorkspace(window) {
+    placeWindowOnWorkspace(window, options = {}) {
         if (!window) {
             return;
         }
@@ -41,36 +71,264 @@ export class WindowPlacementHandler {
         this._pendingOperations.add(windowId);
 
         try {
-            this._placeWindowOnWorkspaceInternal(window);
+            this._placeWindowOnWorkspaceInternal(window, options);
         } finally {
             this._pendingOperations.delete(windowId);
         }
     }
 
-    _placeWindowOnWorkspaceInternal(window) {
+    _placeWindowOnWorkspaceInternal(window, options) {
+        // Followers already share their parent's isolated workspace
+        if (this._findRecordForFollower(window)) {
+            return;
+        }
+
         const monitor = window.get_monitor();
         const currentWorkspace = window.get_workspace();
         const otherWindows = this._getOtherWindowsOnMonitor(currentWorkspace, window, monitor);
+        const groupMember = this._findGroupMember(window);
         
-        if (otherWindows.length === 0) {
+        if (otherWindows.length === 0 && !groupMember) {
             return;
         }
 
         const manager = window.get_display().get_workspace_manager();
         const currentIndex = currentWorkspace.index();
+        this._layoutBeforePlacement = this._captureLayout(manager);
+        // Coverage isolation ends with the user shrinking the window; keep their size
+        this._geometryBeforePlacement = options.trigger === ExtensionConstants.TRIGGER_COVERAGE
+            ? null
+            : this._captureGeometry(window, options.frameRect);
+        this._placementTrigger = options.trigger ?? null;
         
-        if (this._workspaceManager.isWorkspacesOnlyOnPrimary()) {
-            this._handlePrimaryMonitorPlacement(window, manager, currentIndex, monitor, otherWindows);
-        } else {
-            this._handleMultiMonitorPlacement(window, manager, currentIndex, monitor, otherWindows);
+        try {
+            if (groupMember) {
+                this._joinGroupWorkspace(window, groupMember, otherWindows);
+            } else if (this._workspaceManager.isWorkspacesOnlyOnPrimary()) {
+                this._handlePrimaryMonitorPlacement(window, manager, currentIndex, monitor, otherWindows);
+            } else {
+                this._handleMultiMonitorPlacement(window, manager, currentIndex, monitor, otherWindows);
+            }
+        } finally {
+            this._layoutBeforePlacement = null;
+            this._geometryBeforePlacement = null;
+            this._placementTrigger = null;
+        }
+    }
+
+    /**
+     * Runs several placements as one batch: workspace switches and focus
+     * changes are suppressed and the workspace the user was on stays active
+     * @param {Function} callback - Performs the placements
+     */
+    runBatch(callback) {
+        const manager = global.display.get_workspace_manager();
+        const activeWorkspace = manager.get_active_workspace();
+
+        this._batching = true;
+        try {
+            callback();
+        } finally {
+            this._batching = false;
+            // A sweep is not a single move that can be undone
+            this._lastPlacement = null;
+        }
+
+        if (this._workspaceManager.hasWorkspace(manager, activeWorkspace) &&
+            manager.get_active_workspace() !== activeWorkspace) {
+            activeWorkspace.activate(global.get_current_time());
+        }
+    }
+
+    /**
+     * Sends every placed window back to its home workspace in one batch,
+     * removing the workspaces the extension added along the way
+     * @returns {number} Number of windows returned
+     */
+    returnAllWindows() {
+        const windows = [...this._placedWindows.values()].map(placedInfo => placedInfo.window);
+        const focusWindow = global.display.get_focus_window();
+        let count = 0;
+
+        this.runBatch(() => {
+            windows.forEach(window => {
+                this.returnWindowToOldWorkspace(window);
+                if (!this.isWindowPlaced(window)) {
+                    count++;
+                }
+            });
+        });
+
+        // Follow the window the user was working with
+        if (focusWindow && windows.includes(focusWindow)) {
+            focusWindow.get_workspace()?.activate(global.get_current_time());
+        }
+
+        return count;
+    }
+
+    /**
+     * Puts every window pinned by a monitor-only isolation back on its
+     * home workspace while keeping the isolations themselves
+     */
+    releasePinnedWindows() {
+        this._placedWindows.forEach(placedInfo => this._releasePinnedWindows(placedInfo));
+    }
+
+    /**
+     * Checks whether placements are currently running as a batch
+     * @returns {boolean}
+     */
+    isBatching() {
+        return this._batching;
+    }
+
+    /**
+     * Reverts the most recent placement: restores the previous workspace
+     * order and moves every window back where it was
+     * @returns {boolean} Whether there was a placement to undo
+     */
+    undoLastPlacement() {
+        const lastPlacement = this._lastPlacement;
+        this._lastPlacement = null;
+
+        if (!lastPlacement || !this.isWindowPlaced(lastPlacement.window)) {
+            return false;
+        }
+
+        const { window, layout } = lastPlacement;
+        const windowId = window.get_id();
+        const placedInfo = this._placedWindows.get(windowId);
+        const manager = global.display.get_workspace_manager();
+
+        this._placedWindows.delete(windowId);
+        this._unwatchWindow(windowId);
+        this._releasePinnedWindows(placedInfo);
+
+        const workspaces = layout.workspaces
+            .filter(workspace => this._workspaceManager.hasWorkspace(manager, workspace));
+        workspaces.forEach((workspace, index) => manager.reorder_workspace(workspace, index));
+
+        const liveWindows = new Set(global.display.list_all_windows());
+        layout.windowWorkspaces.forEach((workspace, w) => {
+            if (liveWindows.has(w) && workspaces.includes(workspace) && w.get_workspace() !== workspace) {
+                w.change_workspace(workspace);
+            }
+        });
+
+        if (placedInfo.createdWorkspace && !this._workspaceManager.isDynamicWorkspaces()) {
+            const appended = manager.get_workspace_by_index(manager.get_n_workspaces() - 1);
+            if (!workspaces.includes(appended) && this._workspaceManager.isWorkspaceEmpty(appended)) {
+                manager.remove_workspace(appended, global.get_current_time());
+            }
+        }
+
+        window.get_workspace()?.activate(global.get_current_time());
+        this._focusMovedWindow(window);
+
+        this.emit(ExtensionConstants.EVENT_WINDOW_RETURNED, window, placedInfo);
+        return true;
+    }
+
+    /**
+     * Records where a window sat before it was maximized so a return can
+     * put it back on the same monitor with the same size and position
+     * @private
+     * @param {Object} window - Meta window object
+     * @param {Object} [frameRect] - Frame rect before the maximize, if known
+     * @returns {Object|null} Geometry record or null if nothing useful is known
+     */
+    _captureGeometry(window, frameRect) {
+        let rect = frameRect;
+        if (!rect) {
+            // Without the pre-maximize rect, only an unmaximized window's
+            // current frame says anything about where it belongs
+            if (window.is_maximized() || window.fullscreen) {
+                return { frameRect: null, monitor: window.get_monitor(), tiled: false };
+            }
+            rect = window.get_frame_rect();
+        }
+
+        const frame = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        const monitor = global.display.get_monitor_index_for_rect(rect);
+        const workArea = window.get_work_area_for_monitor(monitor >= 0 ? monitor : window.get_monitor());
+
+        const tiled = this._windowFilter?.isTileRect(frame, workArea) ?? false;
+
+        return {
+            frameRect: frame,
+            monitor: monitor >= 0 ? monitor : window.get_monitor(),
+            tiled: tiled,
+        };
+    }
+
+    /**
+     * Moves a returned window back to the monitor and frame it had before
+     * it was isolated
+     * @private
+     */
+    _restoreGeometry(window, geometry) {
+        if (!geometry) {
+            return;
+        }
+
+        const monitorCount = global.display.get_n_monitors();
+        if (geometry.monitor >= 0 && geometry.monitor < monitorCount &&
+            window.get_monitor() !== geometry.monitor) {
+            window.move_to_monitor(geometry.monitor);
+        }
+
+        // A window returned while still maximized keeps that state
+        if (!geometry.frameRect || window.is_maximized() || window.fullscreen) {
+            return;
+        }
+
+        // Mutter re-tiles a tiled window on unmaximize; resizing would break the tile
+        if (geometry.tiled && window.maximized_vertically) {
+            return;
+        }
+
+        const { x, y, width, height } = geometry.frameRect;
+        const current = window.get_frame_rect();
+        if (current.x === x && current.y === y && current.width === width && current.height === height) {
+            return;
+        }
+
+        window.move_resize_frame(true, x, y, width, height);
+    }
+
+    /**
+     * Records workspace order and window locations so a placement can be undone
+     * @private
+     */
+    _captureLayout(manager) {
+        const workspaces = [];
+        const windowWorkspaces = new Map();
+
+        for (let i = 0; i < manager.get_n_workspaces(); i++) {
+            const workspace = manager.get_workspace_by_index(i);
+            workspaces.push(workspace);
+            workspace.list_windows()
+                .filter(w => !w.is_always_on_all_workspaces())
+                .forEach(w => windowWorkspaces.set(w, workspace));
+        }
+
+        return { workspaces, windowWorkspaces };
+    }
+
+    _invalidateUndo(window) {
+        if (this._lastPlacement?.window === window) {
+            this._lastPlacement = null;
         }
     }
 
     /**
      * Returns a window to its previous workspace
      * @param {Object} window - Meta window object
+     * @param {Object} [options] - Return options
+     * @param {boolean} [options.keepGeometry] - Leave the window's monitor and frame as they are
      */
-    returnWindowToOldWorkspace(window) {
+    returnWindowToOldWorkspace(window, options = {}) {
         if (!window) {
             return;
         }
@@ -87,13 +345,24 @@ export class WindowPlacementHandler {
         }
 
         this._pendingOperations.add(windowId);
+        this._invalidateUndo(window);
 
         try {
             this._placedWindows.delete(windowId);
+            this._unwatchWindow(windowId);
+            const isolatedWorkspace = window.get_workspace();
             this._returnWindowToHomeWorkspace(window, placedInfo);
+            this._returnFollowers(placedInfo, isolatedWorkspace, window.get_workspace());
+            this._releasePinnedWindows(placedInfo);
+            if (!options.keepGeometry) {
+                this._restoreGeometry(window, placedInfo.geometry);
+            }
+            this._removeCreatedWorkspace(placedInfo, isolatedWorkspace);
         } finally {
             this._pendingOperations.delete(windowId);
         }
+
+        this.emit(ExtensionConstants.EVENT_WINDOW_RETURNED, window, placedInfo);
     }
 
     /**
@@ -110,11 +379,15 @@ export class WindowPlacementHandler {
         const placedInfo = this._placedWindows.get(windowId);
         
         // Clean up tracking
+        this._detachFollower(window);
         this._placedWindows.delete(windowId);
+        this._unwatchWindow(windowId);
         this._pendingOperations.delete(windowId);
+        this._invalidateUndo(window);
 
         // If this window was moved by us, return to the original workspace
         if (placedInfo) {
+            this.emit(ExtensionConstants.EVENT_WINDOW_FORGOTTEN, window, placedInfo);
             this._scheduleReturnToHomeWorkspaceOnClose(placedInfo);
         }
     }
@@ -133,16 +406,238 @@ export class WindowPlacementHandler {
 
     _returnToHomeWorkspaceOnClose(placedInfo) {
         const manager = global.display.get_workspace_manager();
-        const homeIndex = placedInfo.homeWorkspaceIndex;
-        const workspaceCount = manager.get_n_workspaces();
+        const homeWorkspace = this._resolveHomeWorkspace(placedInfo, manager);
+        this._releasePinnedWindows(placedInfo);
 
-        // Validate home workspace still exists
-        if (homeIndex >= 0 && homeIndex < workspaceCount) {
-            const homeWorkspace = manager.get_workspace_by_index(homeIndex);
-            if (homeWorkspace) {
+        if (homeWorkspace) {
+            this._returnFollowers(placedInfo, placedInfo.isolatedWorkspace, homeWorkspace);
+
+            // Other group members still live on the isolated workspace
+            if (!this._isIsolatedWorkspaceInUse(placedInfo.isolatedWorkspace)) {
                 homeWorkspace.activate(global.get_current_time());
             }
         }
+
+        this._removeCreatedWorkspace(placedInfo, placedInfo.isolatedWorkspace);
+    }
+
+    /**
+     * Finds a placed window from the same isolation group whose workspace
+     * the given window can share
+     * @private
+     * @returns {Object|null} Placement record of the group member or null
+     */
+    _findGroupMember(window) {
+        const group = this._windowFilter?.getIsolationGroup(window);
+        if (!group) {
+            return null;
+        }
+
+        const manager = global.display.get_workspace_manager();
+        return [...this._placedWindows.values()].find(placedInfo =>
+            placedInfo.group === group &&
+            placedInfo.window !== window &&
+            placedInfo.monitor === window.get_monitor() &&
+            this._workspaceManager.hasWorkspace(manager, placedInfo.isolatedWorkspace)
+        ) ?? null;
+    }
+
+    /**
+     * Moves a window onto the isolated workspace of its group
+     * @private
+     */
+    _joinGroupWorkspace(window, member, otherWindows) {
+        const groupWorkspace = member.isolatedWorkspace;
+        const currentWorkspace = window.get_workspace();
+
+        // Maximizing on the group workspace keeps the group's home
+        if (currentWorkspace === groupWorkspace) {
+            this.markWindowAsPlaced(window, member.homeWorkspaceIndex, {
+                createdWorkspace: member.createdWorkspace,
+                neighbours: member.homeNeighbours,
+            });
+            return;
+        }
+
+        window.change_workspace(groupWorkspace);
+        if (!this._batching) {
+            groupWorkspace.activate(global.get_current_time());
+            this._focusMovedWindow(window);
+        }
+        this.markWindowAsPlaced(window, currentWorkspace.index(), {
+            createdWorkspace: member.createdWorkspace,
+            neighbours: otherWindows,
+        });
+        this._collapseLeftWorkspace(currentWorkspace);
+    }
+
+    /**
+     * Moves a workspace a joining group member left empty to the end of
+     * the list, so no gap remains between occupied workspaces. The window
+     * still returns to it by identity.
+     * @private
+     */
+    _collapseLeftWorkspace(workspace) {
+        const manager = global.display.get_workspace_manager();
+        const lastIndex = manager.get_n_workspaces() - 1;
+        if (!this._workspaceManager.hasWorkspace(manager, workspace) ||
+            !this._workspaceManager.isWorkspaceEmpty(workspace) ||
+            workspace.index() === lastIndex) {
+            return;
+        }
+
+        manager.reorder_workspace(workspace, lastIndex);
+    }
+
+    /**
+     * Checks whether any placed window still uses a workspace as its
+     * isolated workspace
+     * @private
+     */
+    _isIsolatedWorkspaceInUse(workspace) {
+        return [...this._placedWindows.values()]
+            .some(placedInfo => placedInfo.isolatedWorkspace === workspace);
+    }
+
+    /**
+     * Finds a placed window the given window is transient for
+     * @param {Object} window - Meta window object
+     * @returns {Object|null} Placed parent window or null
+     */
+    findPlacedParent(window) {
+        for (let parent = window.get_transient_for(); parent; parent = parent.get_transient_for()) {
+            if (this.isWindowPlaced(parent)) {
+                return parent;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds a placed window of the same app as the given window
+     * @param {Object} window - Meta window object
+     * @returns {Object|null} Placed window or null
+     */
+    findPlacedSibling(window) {
+        if (this.isWindowPlaced(window) || !this._windowFilter?.isNormalWindow(window)) {
+            return null;
+        }
+
+        const candidates = [...this._placedWindows.values()]
+            .filter(placedInfo => this._windowFilter.isSameApp(window, placedInfo.window));
+        const activeWorkspace = global.workspace_manager.get_active_workspace();
+
+        // Prefer the instance the user is looking at
+        const parentInfo = candidates.find(placedInfo => placedInfo.isolatedWorkspace === activeWorkspace) ??
+                           candidates.pop();
+        return parentInfo?.window ?? null;
+    }
+
+    /**
+     * Moves a window onto a placed window's isolated workspace and records
+     * it so it goes home together with that window
+     * @param {Object} window - Meta window object to attach
+     * @param {Object} parent - Placed Meta window object
+     * @returns {boolean} Whether the window was attached
+     */
+    attachFollower(window, parent) {
+        const placedInfo = this._placedWindows.get(parent?.get_id());
+        if (!placedInfo || window === parent || placedInfo.followers.includes(window)) {
+            return false;
+        }
+
+        placedInfo.followers.push(window);
+        this._invalidateUndo(parent);
+
+        const isolatedWorkspace = placedInfo.isolatedWorkspace;
+        if (this._workspaceManager.hasWorkspace(global.workspace_manager, isolatedWorkspace) &&
+            window.get_workspace() !== isolatedWorkspace) {
+            window.change_workspace(isolatedWorkspace);
+        }
+
+        return true;
+    }
+
+    /**
+     * Moves a window to a placed window's home workspace
+     * @param {Object} window - Meta window object to move
+     * @param {Object} placedWindow - Placed Meta window object
+     * @returns {boolean} Whether the window was moved
+     */
+    sendToHomeOf(window, placedWindow) {
+        const placedInfo = this._placedWindows.get(placedWindow?.get_id());
+        if (!placedInfo) {
+            return false;
+        }
+
+        const manager = global.display.get_workspace_manager();
+        const homeWorkspace = this._resolveHomeWorkspace(placedInfo, manager);
+        if (!homeWorkspace) {
+            return false;
+        }
+
+        if (window.get_workspace() !== homeWorkspace) {
+            window.change_workspace(homeWorkspace);
+        }
+
+        return true;
+    }
+
+    /**
+     * Checks whether a window travels with a placed window
+     * @param {Object} window - Meta window object
+     * @returns {boolean}
+     */
+    isFollower(window) {
+        return this._findRecordForFollower(window) !== null;
+    }
+
+    _findRecordForFollower(window) {
+        return [...this._placedWindows.values()]
+            .find(placedInfo => placedInfo.followers.includes(window)) ?? null;
+    }
+
+    _detachFollower(window) {
+        this._placedWindows.forEach(placedInfo => {
+            placedInfo.followers = placedInfo.followers.filter(w => w !== window);
+        });
+    }
+
+    /**
+     * Moves followers still on the isolated workspace to the home workspace
+     * @private
+     */
+    _returnFollowers(placedInfo, isolatedWorkspace, homeWorkspace) {
+        if (!homeWorkspace || homeWorkspace === isolatedWorkspace) {
+            return;
+        }
+
+        const liveWindows = new Set(global.display.list_all_windows());
+        placedInfo.followers
+            .filter(w => liveWindows.has(w) && w.get_workspace() === isolatedWorkspace)
+            .forEach(w => w.change_workspace(homeWorkspace));
+    }
+
+    /**
+     * Removes a workspace the extension appended for static workspaces
+     * once the isolated window has left it and nothing else moved in
+     * @private
+     */
+    _removeCreatedWorkspace(placedInfo, workspace) {
+        if (!placedInfo.createdWorkspace || this._workspaceManager.isDynamicWorkspaces()) {
+            return;
+        }
+
+        const manager = global.display.get_workspace_manager();
+        if (!this._workspaceManager.hasWorkspace(manager, workspace) ||
+            this._isIsolatedWorkspaceInUse(workspace) ||
+            !this._workspaceManager.isWorkspaceEmpty(workspace) ||
+            manager.get_n_workspaces() <= 1) {
+            return;
+        }
+
+        manager.remove_workspace(workspace, global.get_current_time());
     }
 
     _queueIdle(callback) {
@@ -166,12 +661,165 @@ export class WindowPlacementHandler {
      * Marks a window as placed on a new workspace
      * @param {Object} window - Meta window object
      * @param {number} homeWorkspaceIndex - Index of the original workspace
+     * @param {Object} [details] - Extra placement details to record
+     * @param {boolean} [details.createdWorkspace] - Isolated workspace was appended by the extension
+     * @param {Array<Object>} [details.neighbours] - Windows left on the home workspace
+     * @param {Array<Object>} [details.pinned] - Other-monitor windows pinned for the isolation
      */
-    markWindowAsPlaced(window, homeWorkspaceIndex) {
+    markWindowAsPlaced(window, homeWorkspaceIndex, details = {}) {
         const windowId = window.get_id();
-        this._placedWindows.set(windowId, {
+        const manager = window.get_display().get_workspace_manager();
+        const placedInfo = {
+            window: window,
             homeWorkspaceIndex: homeWorkspaceIndex,
+            homeWorkspace: manager.get_workspace_by_index(homeWorkspaceIndex),
+            homeNeighbours: details.neighbours ?? [],
+            monitor: window.get_monitor(),
+            geometry: this._geometryBeforePlacement,
+            trigger: this._placementTrigger,
+            followers: [],
+            group: this._windowFilter?.getIsolationGroup(window) ?? null,
+            isolatedWorkspace: window.get_workspace(),
+            createdWorkspace: details.createdWorkspace ?? false,
+            pinnedWindows: details.pinned ?? [],
+        };
+
+        this._placedWindows.set(windowId, placedInfo);
+        this._watchWindow(window);
+        this._lastPlacement = this._layoutBeforePlacement
+            ? { window, layout: this._layoutBeforePlacement }
+            : null;
+        this.emit(ExtensionConstants.EVENT_WINDOW_PLACED, window, placedInfo);
+    }
+
+    /**
+     * Checks if a window is currently tracked as placed by the extension
+     * @param {Object} window - Meta window object
+     * @returns {boolean}
+     */
+    isWindowPlaced(window) {
+        return !!window && this._placedWindows.has(window.get_id());
+    }
+
+    /**
+     * Returns what caused a placed window to be isolated
+     * @param {Object} window - Meta window object
+     * @returns {string|null} Trigger name, or null if the window is not placed or the cause is unknown
+     */
+    getPlacementTrigger(window) {
+        return this._placedWindows.get(window?.get_id())?.trigger ?? null;
+    }
+
+    /**
+     * Lists windows currently tracked as placed by the extension
+     * @returns {Array<{window: Object, homeWorkspaceIndex: number, monitor: number}>}
+     */
+    getPlacedWindows() {
+        return [...this._placedWindows.values()].map(placedInfo => ({
+            window: placedInfo.window,
+            homeWorkspaceIndex: placedInfo.homeWorkspaceIndex,
+            monitor: placedInfo.monitor,
+        }));
+    }
+
+    /**
+     * Serializes the placement map so it can survive a disable/enable cycle
+     * (GNOME disables extensions while the screen is locked).
+     * @returns {Array<Object>} Plain records describing each placed window
+     */
+    serializePlacements() {
+        const records = [];
+
+        this._placedWindows.forEach((placedInfo, windowId) => {
+            const window = placedInfo.window;
+            records.push({
+                windowId: windowId,
+                stableSequence: window?.get_stable_sequence?.() ?? 0,
+                wmClass: window?.get_wm_class?.() ?? null,
+                homeWorkspaceIndex: placedInfo.homeWorkspaceIndex,
+                homeNeighbourIds: placedInfo.homeNeighbours.map(w => w.get_id()),
+                monitor: placedInfo.monitor,
+                geometry: placedInfo.geometry,
+                trigger: placedInfo.trigger,
+                followerIds: placedInfo.followers.map(w => w.get_id()),
+                pinnedIds: placedInfo.pinnedWindows.map(w => w.get_id()),
+                createdWorkspace: placedInfo.createdWorkspace,
+            });
         });
+
+        return records;
+    }
+
+    /**
+     * Rehydrates placement records produced by serializePlacements()
+     * Records are matched to live windows; anything stale is dropped.
+     * @param {Array<Object>} records - Serialized placement records
+     */
+    restorePlacements(records) {
+        if (!Array.isArray(records) || records.length === 0) {
+            return;
+        }
+
+        const manager = global.display.get_workspace_manager();
+        const workspaceCount = manager.get_n_workspaces();
+        const liveWindows = new Map();
+        global.display.list_all_windows().forEach(w => liveWindows.set(w.get_id(), w));
+
+        records.forEach(record => {
+            const window = liveWindows.get(record?.windowId);
+            if (!this._matchesSerializedWindow(window, record)) {
+                return;
+            }
+
+            const homeIndex = record.homeWorkspaceIndex;
+            if (!Number.isInteger(homeIndex) || homeIndex < 0 || homeIndex >= workspaceCount) {
+                return;
+            }
+
+            // Window went back home while we were disabled; nothing to track
+            if (window.get_workspace()?.index() === homeIndex) {
+                return;
+            }
+
+            const neighbourIds = Array.isArray(record.homeNeighbourIds) ? record.homeNeighbourIds : [];
+            const followerIds = Array.isArray(record.followerIds) ? record.followerIds : [];
+            const pinnedIds = Array.isArray(record.pinnedIds) ? record.pinnedIds : [];
+
+            this._placedWindows.set(window.get_id(), {
+                window: window,
+                homeWorkspaceIndex: homeIndex,
+                homeWorkspace: manager.get_workspace_by_index(homeIndex),
+                homeNeighbours: neighbourIds.map(id => liveWindows.get(id)).filter(w => !!w),
+                monitor: Number.isInteger(record.monitor) ? record.monitor : window.get_monitor(),
+                geometry: record.geometry ?? null,
+                trigger: record.trigger ?? null,
+                followers: followerIds.map(id => liveWindows.get(id)).filter(w => !!w),
+                group: this._windowFilter?.getIsolationGroup(window) ?? null,
+                isolatedWorkspace: window.get_workspace(),
+                createdWorkspace: record.createdWorkspace === true,
+                pinnedWindows: pinnedIds.map(id => liveWindows.get(id))
+                    .filter(w => !!w && w.is_always_on_all_workspaces()),
+            });
+            this._watchWindow(window);
+        });
+    }
+
+    /**
+     * Checks a live window still is the one a serialized record describes
+     * @private
+     */
+    _matchesSerializedWindow(window, record) {
+        if (!window || window.is_always_on_all_workspaces()) {
+            return false;
+        }
+
+        const stableSequence = window.get_stable_sequence?.() ?? 0;
+        if (record.stableSequence && stableSequence !== record.stableSequence) {
+            return false;
+        }
+
+        const wmClass = window.get_wm_class?.() ?? null;
+        return !record.wmClass || wmClass === record.wmClass;
     }
 
     forgetWindow(window) {
@@ -180,26 +828,195 @@ export class WindowPlacementHandler {
         }
 
         const windowId = window.get_id();
+        const placedInfo = this._placedWindows.get(windowId);
         this._placedWindows.delete(windowId);
+        this._unwatchWindow(windowId);
         this._pendingOperations.delete(windowId);
+        this._invalidateUndo(window);
+
+        if (placedInfo) {
+            this._releasePinnedWindows(placedInfo);
+            this.emit(ExtensionConstants.EVENT_WINDOW_FORGOTTEN, window, placedInfo);
+        }
+    }
+
+    /**
+     * Watches a placed window for workspace moves made outside the extension
+     * and for maximize/fullscreen state changes
+     * @private
+     */
+    _watchWindow(window) {
+        const windowId = window.get_id();
+        this._unwatchWindow(windowId);
+
+        const handles = [
+            window.connect(ExtensionConstants.SIGNAL_WORKSPACE_CHANGED,
+                () => this._onWindowWorkspaceChanged(window)),
+            ...[
+                ExtensionConstants.SIGNAL_NOTIFY_MAXIMIZED_HORIZONTALLY,
+                ExtensionConstants.SIGNAL_NOTIFY_MAXIMIZED_VERTICALLY,
+                ExtensionConstants.SIGNAL_NOTIFY_FULLSCREEN,
+            ].map(signal => window.connect(signal, () => this._onWindowStateChanged(window))),
+        ];
+        this._windowSignals.set(windowId, { window, handles });
+    }
+
+    _unwatchWindow(windowId) {
+        const tracked = this._windowSignals.get(windowId);
+        if (!tracked) {
+            return;
+        }
+
+        this._windowSignals.delete(windowId);
+        try {
+            tracked.handles.forEach(handle => tracked.window.disconnect(handle));
+        } catch (error) {
+            // Window may have been destroyed
+        }
+    }
+
+    /**
+     * Lets listeners decide whether a placed window left the state that
+     * isolated it
+     * @private
+     */
+    _onWindowStateChanged(window) {
+        const windowId = window.get_id();
+        const placedInfo = this._placedWindows.get(windowId);
+        if (!placedInfo || this._pendingOperations.has(windowId)) {
+            return;
+        }
+
+        this.emit(ExtensionConstants.EVENT_WINDOW_STATE_CHANGED, window, placedInfo);
+    }
+
+    /**
+     * Updates or drops tracking after the user moved an isolated window
+     * to another workspace
+     * @private
+     */
+    _onWindowWorkspaceChanged(window) {
+        const windowId = window.get_id();
+        const placedInfo = this._placedWindows.get(windowId);
+        if (!placedInfo || this._pendingOperations.has(windowId)) {
+            return;
+        }
+
+        // Unmanaging windows leave their workspace too; destroy handles those
+        const workspace = window.get_workspace();
+        if (!workspace || workspace === placedInfo.isolatedWorkspace) {
+            return;
+        }
+
+        // The abandoned workspace may have been appended by us
+        const previousInfo = { ...placedInfo };
+        this._queueIdle(() => this._removeCreatedWorkspace(previousInfo, previousInfo.isolatedWorkspace));
+
+        if (this._getManualMovePolicy() === ExtensionConstants.MANUAL_MOVE_FORGET ||
+            window.is_on_all_workspaces() ||
+            workspace === placedInfo.homeWorkspace) {
+            this.forgetWindow(window);
+            return;
+        }
+
+        this._invalidateUndo(window);
+        placedInfo.isolatedWorkspace = workspace;
+        placedInfo.createdWorkspace = false;
+    }
+
+    /**
+     * Updates or drops tracking after the user moved an isolated window
+     * to another monitor
+     * @private
+     */
+    _onWindowEnteredMonitor(window, monitor) {
+        const windowId = window?.get_id();
+        const placedInfo = this._placedWindows.get(windowId);
+        if (!placedInfo || this._pendingOperations.has(windowId) || placedInfo.monitor === monitor) {
+            return;
+        }
+
+        if (this._getManualMovePolicy() === ExtensionConstants.MANUAL_MOVE_FORGET) {
+            this.forgetWindow(window);
+            return;
+        }
+
+        this._invalidateUndo(window);
+        placedInfo.monitor = monitor;
+    }
+
+    _getManualMovePolicy() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_MANUAL_MOVE_POLICY)) {
+            return ExtensionConstants.MANUAL_MOVE_FOLLOW;
+        }
+
+        return this._settings.get_string(ExtensionConstants.SETTING_MANUAL_MOVE_POLICY);
     }
 
     _returnWindowToHomeWorkspace(window, placedInfo) {
         const manager = window.get_display().get_workspace_manager();
-        const homeIndex = placedInfo.homeWorkspaceIndex;
+        const homeWorkspace = this._resolveHomeWorkspace(placedInfo, manager);
 
-        const workspaceCount = manager.get_n_workspaces();
-        if (homeIndex >= 0 && homeIndex < workspaceCount) {
-            const homeWorkspace = manager.get_workspace_by_index(homeIndex);
-            if (homeWorkspace) {
-                this._moveWindowToWorkspace(window, homeIndex, manager);
-                return;
-            }
+        if (homeWorkspace && homeWorkspace !== window.get_workspace()) {
+            this._moveWindowToWorkspace(window, homeWorkspace.index(), manager);
+            return;
         }
 
         this._returnWindowUsingFallback(window, manager);
     }
 
+    /**
+     * Finds the workspace a placed window belongs to: its original home
+     * workspace if it still exists, otherwise the workspace now holding
+     * most of the windows it was isolated from
+     * @private
+     * @returns {Object|null} Workspace or null if neither can be found
+     */
+    _resolveHomeWorkspace(placedInfo, manager) {
+        if (this._workspaceManager.hasWorkspace(manager, placedInfo.homeWorkspace)) {
+            return placedInfo.homeWorkspace;
+        }
+
+        const liveWindows = new Set(global.display.list_all_windows());
+        const counts = new Map();
+        placedInfo.homeNeighbours
+            .filter(w => liveWindows.has(w) && !w.is_always_on_all_workspaces())
+            .forEach(w => {
+                const workspace = w.get_workspace();
+                if (workspace && workspace !== placedInfo.window?.get_workspace()) {
+                    counts.set(workspace, (counts.get(workspace) ?? 0) + 1);
+                }
+            });
+
+        let best = null;
+        let bestCount = 0;
+        counts.forEach((count, workspace) => {
+            if (count > bestCount) {
+                best = workspace;
+                bestCount = count;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Updates home workspace indices after workspaces were added,
+     * removed or reordered; a removed home is replaced by the workspace
+     * holding the window's former neighbours
+     * @private
+     */
+    _syncHomeWorkspaces() {
+        const manager = global.workspace_manager;
+
+        this._placedWindows.forEach(placedInfo => {
+            const homeWorkspace = this._resolveHomeWorkspace(placedInfo, manager);
+            placedInfo.homeWorkspace = homeWorkspace;
+            placedInfo.homeWorkspaceIndex = homeWorkspace ? homeWorkspace.index() : -1;
+        });
+    }
+
     /**
      * Moves a window to a workspace and activates it
      * @private
@@ -211,14 +1028,16 @@ export class WindowPlacementHandler {
         }
 
         window.change_workspace_by_index(targetIndex, false);
-        const targetWorkspace = manager.get_workspace_by_index(targetIndex);
-        targetWorkspace.activate(global.get_current_time());
+        if (!this._batching) {
+            const targetWorkspace = manager.get_workspace_by_index(targetIndex);
+            targetWorkspace.activate(global.get_current_time());
+        }
         this._focusMovedWindow(window);
         return true;
     }
 
     _focusMovedWindow(window) {
-        if (!window) {
+        if (!window || this._batching) {
             return;
         }
 
@@ -278,14 +1097,15 @@ export class WindowPlacementHandler {
             return;
         }
 
-        const firstFree = this._workspaceManager.getFirstFreeWorkspace(manager, monitor);
+        const { index: firstFree, created } = this._findFreeWorkspace(manager, monitor);
         
         if (firstFree === -1) {
             return;
         }
 
-        this._reorderWorkspaces(manager, currentIndex, firstFree, otherWindows);
-        this.markWindowAsPlaced(window, currentIndex);
+        const homeIndex = this._reorderWorkspaces(
+            manager, currentIndex, firstFree, otherWindows, this._getPlacementStrategy(window));
+        this.markWindowAsPlaced(window, homeIndex, { createdWorkspace: created, neighbours: otherWindows });
     }
 
     /**
@@ -293,24 +1113,144 @@ export class WindowPlacementHandler {
      * @private
      */
     _handleMultiMonitorPlacement(window, manager, currentIndex, monitor, otherWindows) {
-        const firstFree = this._workspaceManager.getFirstFreeWorkspace(manager, monitor);
+        const { index: firstFree, created } = this._findFreeWorkspace(manager, monitor);
         
         if (firstFree === -1) {
             return;
         }
 
-        const currentWindows = window.get_workspace().list_windows()
+        const currentWorkspace = window.get_workspace();
+        const currentWindows = currentWorkspace.list_windows()
             .filter(w => w !== window && !w.is_always_on_all_workspaces());
+
+        if (this._isMonitorOnlyIsolation()) {
+            this._isolateMonitorOnly(window, manager, currentIndex, firstFree, created, currentWindows);
+            return;
+        }
+
         const freeWorkspaceWindows = manager.get_workspace_by_index(firstFree).list_windows()
             .filter(w => w !== window && !w.is_always_on_all_workspaces());
 
-        this._reorderWorkspaces(manager, currentIndex, firstFree, currentWindows);
+        const homeIndex = this._reorderWorkspaces(
+            manager, currentIndex, firstFree, currentWindows, this._getPlacementStrategy(window));
         
+        // Windows on other monitors keep the slot they had on the free workspace
         freeWorkspaceWindows.forEach(w => {
-            w.change_workspace_by_index(firstFree, false);
+            w.change_workspace(currentWorkspace);
         });
         
-        this.markWindowAsPlaced(window, currentIndex);
+        this.markWindowAsPlaced(window, homeIndex, { createdWorkspace: created, neighbours: currentWindows });
+    }
+
+    /**
+     * Isolates only the triggering monitor's content. Windows on other
+     * monitors are pinned to all workspaces so they stay in view, and are
+     * put back on the home workspace when the isolation ends.
+     * @private
+     */
+    _isolateMonitorOnly(window, manager, currentIndex, firstFree, created, currentWindows) {
+        const monitor = window.get_monitor();
+        const movedWindows = currentWindows.filter(w => w.get_monitor() === monitor);
+
+        // Windows with their own tracking stay where they are
+        const pinnedWindows = currentWindows.filter(w =>
+            w.get_monitor() !== monitor &&
+            !this.isWindowPlaced(w) &&
+            !this._findRecordForFollower(w));
+        pinnedWindows.forEach(w => w.stick());
+
+        const homeIndex = this._reorderWorkspaces(
+            manager, currentIndex, firstFree, movedWindows, this._getPlacementStrategy(window));
+
+        this.markWindowAsPlaced(window, homeIndex, {
+            createdWorkspace: created,
+            neighbours: movedWindows,
+            pinned: pinnedWindows,
+        });
+    }
+
+    _isMonitorOnlyIsolation() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_ISOLATE_MONITOR_ONLY)) {
+            return false;
+        }
+
+        return this._settings.get_boolean(ExtensionConstants.SETTING_ISOLATE_MONITOR_ONLY);
+    }
+
+    /**
+     * Unpins the windows a placement pinned and puts them on its home
+     * workspace. A group member still using the isolated workspace takes
+     * them over instead.
+     * @private
+     */
+    _releasePinnedWindows(placedInfo) {
+        const pinnedWindows = placedInfo.pinnedWindows;
+        placedInfo.pinnedWindows = [];
+        if (pinnedWindows.length === 0) {
+            return;
+        }
+
+        const heir = [...this._placedWindows.values()]
+            .find(info => info.isolatedWorkspace === placedInfo.isolatedWorkspace);
+        if (heir) {
+            heir.pinnedWindows.push(...pinnedWindows);
+            return;
+        }
+
+        const manager = global.display.get_workspace_manager();
+        const homeWorkspace = this._resolveHomeWorkspace(placedInfo, manager);
+        const liveWindows = new Set(global.display.list_all_windows());
+
+        pinnedWindows
+            .filter(w => liveWindows.has(w) && w.is_always_on_all_workspaces())
+            .forEach(w => {
+                w.unstick();
+                if (homeWorkspace && w.get_workspace() !== homeWorkspace) {
+                    w.change_workspace(homeWorkspace);
+                }
+            });
+    }
+
+    /**
+     * Finds a free workspace on the monitor. With static workspaces, when
+     * every workspace is occupied a new one is appended, up to the
+     * configured limit.
+     * @private
+     * @returns {{index: number, created: boolean}} index is -1 if none is available
+     */
+    _findFreeWorkspace(manager, monitor) {
+        const firstFree = this._workspaceManager.getFirstFreeWorkspace(manager, monitor);
+        if (firstFree !== -1 || this._workspaceManager.isDynamicWorkspaces()) {
+            return { index: firstFree, created: false };
+        }
+
+        // Group members share one appended workspace
+        const createdCount = new Set([...this._placedWindows.values()]
+            .filter(placedInfo => placedInfo.createdWorkspace)
+            .map(placedInfo => placedInfo.isolatedWorkspace)).size;
+        if (createdCount >= this._getMaxCreatedWorkspaces()) {
+            return { index: -1, created: false };
+        }
+
+        const workspace = this._workspaceManager.appendWorkspace(manager);
+        return workspace
+            ? { index: workspace.index(), created: true }
+            : { index: -1, created: false };
+    }
+
+    /**
+     * Returns how many workspaces may be appended with static workspaces
+     * @private
+     * @returns {number}
+     */
+    _getMaxCreatedWorkspaces() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_MAX_CREATED_WORKSPACES)) {
+            return 0;
+        }
+
+        return this._settings.get_int(ExtensionConstants.SETTING_MAX_CREATED_WORKSPACES);
     }
 
     /**
@@ -367,29 +1307,77 @@ export class WindowPlacementHandler {
 
     /**
      * Reorders workspaces and moves windows
+     * 
+     * The workspace holding the triggering window becomes the isolated one;
+     * the free workspace takes its place and receives the other windows.
+     * Where the isolated workspace ends up depends on the placement strategy:
+     * - first-free: swaps places with the free workspace
+     * - adjacent: right after the home workspace
+     * - append: at the end of the workspace list
      * @private
+     * @returns {number} Index of the home workspace after reordering
      */
-    _reorderWorkspaces(manager, currentIndex, targetIndex, windows) {
-        if (currentIndex < targetIndex) {
-            manager.reorder_workspace(manager.get_workspace_by_index(targetIndex), currentIndex);
-            manager.reorder_workspace(manager.get_workspace_by_index(currentIndex + 1), targetIndex);
-            windows.forEach(w => w.change_workspace_by_index(currentIndex, false));
-        } else if (currentIndex > targetIndex) {
-            manager.reorder_workspace(manager.get_workspace_by_index(currentIndex), targetIndex);
-            manager.reorder_workspace(manager.get_workspace_by_index(targetIndex + 1), currentIndex);
-            windows.forEach(w => w.change_workspace_by_index(currentIndex, false));
+    _reorderWorkspaces(manager, currentIndex, targetIndex, windows, strategy) {
+        const currentWorkspace = manager.get_workspace_by_index(currentIndex);
+        const freeWorkspace = manager.get_workspace_by_index(targetIndex);
+
+        switch (strategy) {
+            case ExtensionConstants.PLACEMENT_ADJACENT:
+                manager.reorder_workspace(freeWorkspace, currentIndex);
+                if (freeWorkspace.index() > currentWorkspace.index()) {
+                    manager.reorder_workspace(currentWorkspace, freeWorkspace.index());
+                }
+                break;
+            case ExtensionConstants.PLACEMENT_APPEND:
+                manager.reorder_workspace(freeWorkspace, currentIndex);
+                manager.reorder_workspace(currentWorkspace, manager.get_n_workspaces() - 1);
+                break;
+            default:
+                manager.reorder_workspace(freeWorkspace, currentIndex);
+                manager.reorder_workspace(currentWorkspace, targetIndex);
+                break;
         }
+
+        windows.forEach(w => w.change_workspace(freeWorkspace));
+        return freeWorkspace.index();
+    }
+
+    /**
+     * Returns the placement strategy for a window: its per-app override,
+     * falling back to the global setting
+     * @private
+     * @returns {string}
+     */
+    _getPlacementStrategy(window) {
+        const override = this._windowFilter?.getPlacementStrategy(window);
+        if (override) {
+            return override;
+        }
+
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_PLACEMENT_STRATEGY)) {
+            return ExtensionConstants.PLACEMENT_FIRST_FREE;
+        }
+
+        return this._settings.get_string(ExtensionConstants.SETTING_PLACEMENT_STRATEGY);
     }
 
     /**
      * Cleanup resources
      */
     destroy() {
+        this._workspaceSignals.forEach(handle => global.workspace_manager.disconnect(handle));
+        this._workspaceSignals = [];
+        global.display.disconnect(this._monitorSignal);
+        [...this._windowSignals.keys()].forEach(windowId => this._unwatchWindow(windowId));
+        this.disconnectAll();
+        this._lastPlacement = null;
         this._placedWindows.clear();
         this._pendingOperations.clear();
         this._activationSourceIds.forEach(sourceId => GLib.source_remove(sourceId));
         this._activationSourceIds.clear();
         this._workspaceManager = null;
         this._settings = null;
+        this._windowFilter = null;
     }
 }
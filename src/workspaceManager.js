@@ -94,6 +94,68 @@ export class WorkspaceManager {
         return -1;
     }
 
+    /**
+     * Appends a new workspace at the end of the list
+     * @param {Object} manager - Workspace manager instance
+     * @returns {Object|null} The new workspace
+     */
+    appendWorkspace(manager) {
+        if (!manager) {
+            return null;
+        }
+
+        return manager.append_new_workspace(false, global.get_current_time());
+    }
+
+    /**
+     * Checks if a workspace is still part of the workspace list
+     * @param {Object} manager - Workspace manager instance
+     * @param {Object} workspace - Workspace to look for
+     * @returns {boolean}
+     */
+    hasWorkspace(manager, workspace) {
+        if (!manager || !workspace) {
+            return false;
+        }
+
+        const workspaceCount = manager.get_n_workspaces();
+        for (let i = 0; i < workspaceCount; i++) {
+            if (manager.get_workspace_by_index(i) === workspace) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Checks if a workspace holds no windows on any monitor
+     * @param {Object} workspace - Workspace to check
+     * @returns {boolean}
+     */
+    isWorkspaceEmpty(workspace) {
+        if (!workspace) {
+            return false;
+        }
+
+        return workspace.list_windows()
+            .every(w => w.is_always_on_all_workspaces());
+    }
+
+    /**
+     * Checks if GNOME manages the number of workspaces dynamically
+     * @returns {boolean}
+     */
+    isDynamicWorkspaces() {
+        if (!this._mutterSettings) {
+            return true;
+        }
+
+        return this._mutterSettings.get_boolean(
+            ExtensionConstants.SETTING_DYNAMIC_WORKSPACES
+        );
+    }
+
     /**
      * Checks if workspaces are only on primary monitor
      * @returns {boolean}
@@ -0,0 +1,274 @@
+/**
+ * ScreenToSpace - Workspace Namer
+ *
+ * Names isolated workspaces after the app they hold by writing GNOME's
+ * workspace-names setting. The user's own names are remembered per
+ * workspace and move with the windows they describe, so they follow
+ * reorders and come back when isolation ends.
+ *
+ * @author DilZhaan
+ * @license GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+import { ExtensionConstants } from './constants.js';
+
+/**
+ * Keeps workspace-names in sync with isolated windows
+ */
+export class WorkspaceNamer {
+    constructor(settings, placementHandler) {
+        this._settings = settings;
+        this._placementHandler = placementHandler;
+        this._wmSettings = new Gio.Settings({
+            schema_id: ExtensionConstants.SCHEMA_WM_PREFERENCES,
+        });
+        this._baseline = new Map();
+        this._spareNames = [];
+        this._pendingWrites = [];
+        this._handoffs = new Map();
+        this._named = false;
+        this._syncSourceId = 0;
+
+        const C = ExtensionConstants;
+        this._placementSignals = [
+            placementHandler.connect(C.EVENT_WINDOW_PLACED,
+                (_, window, placedInfo) => this._onWindowPlaced(window, placedInfo)),
+            placementHandler.connect(C.EVENT_WINDOW_RETURNED,
+                (_, window) => this._onWindowReturned(window)),
+            placementHandler.connect(C.EVENT_WINDOW_FORGOTTEN,
+                (_, window) => this._onWindowForgotten(window)),
+        ];
+
+        const manager = global.workspace_manager;
+        this._workspaceSignals = [C.SIGNAL_WORKSPACE_ADDED, C.SIGNAL_WORKSPACE_REMOVED, C.SIGNAL_WORKSPACES_REORDERED]
+            .map(signal => manager.connect(signal, () => this._queueSync()));
+
+        this._settingsSignals = [
+            settings.connect(`changed::${C.SETTING_NAME_ISOLATED_WORKSPACES}`, () => this._queueSync()),
+        ];
+        this._wmSettingsSignal = this._wmSettings.connect(`changed::${C.SETTING_WORKSPACE_NAMES}`,
+            () => this._onNamesChanged());
+
+        // Wait for placements restored after a screen lock, which emit
+        // nothing, so their app names are not taken for the user's
+        this._syncSourceId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._syncSourceId = 0;
+            this._captureBaseline(this._wmSettings.get_strv(ExtensionConstants.SETTING_WORKSPACE_NAMES));
+            this._sync();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Placing a window turns its workspace into the isolated one and puts
+     * a free workspace in its slot as the new home, so the home inherits
+     * the name the user gave that slot
+     * @private
+     */
+    _onWindowPlaced(window, placedInfo) {
+        const home = placedInfo.homeWorkspace;
+        const isolated = placedInfo.isolatedWorkspace;
+
+        // Joining a group keeps the window's own workspace as home
+        const shared = this._placementHandler.getPlacedWindows()
+            .some(other => other.window !== window && other.window.get_workspace() === isolated);
+
+        if (home && isolated && home !== isolated && !shared) {
+            this._swapNames(home, isolated);
+            this._handoffs.set(window, { home, isolated });
+        }
+
+        this._queueSync();
+    }
+
+    /**
+     * A returned window normally joins the home workspace, which keeps the
+     * name. Undo puts everything back on the original workspace, so the
+     * name goes back with it.
+     * @private
+     */
+    _onWindowReturned(window) {
+        const handoff = this._handoffs.get(window);
+        this._handoffs.delete(window);
+
+        if (handoff && window.get_workspace() === handoff.isolated) {
+            this._swapNames(handoff.home, handoff.isolated);
+        }
+
+        this._queueSync();
+    }
+
+    _onWindowForgotten(window) {
+        this._handoffs.delete(window);
+        this._queueSync();
+    }
+
+    _swapNames(workspace, otherWorkspace) {
+        const name = this._baseline.get(workspace) ?? '';
+        this._baseline.set(workspace, this._baseline.get(otherWorkspace) ?? '');
+        this._baseline.set(otherWorkspace, name);
+    }
+
+    /**
+     * Remembers names the user set outside the extension
+     * @private
+     */
+    _onNamesChanged() {
+        const names = this._wmSettings.get_strv(ExtensionConstants.SETTING_WORKSPACE_NAMES);
+        const ownWrite = this._pendingWrites.findIndex(written => this._sameNames(names, written));
+        if (ownWrite !== -1) {
+            this._pendingWrites.splice(0, ownWrite + 1);
+            return;
+        }
+
+        this._captureBaseline(names);
+        this._queueSync();
+    }
+
+    _captureBaseline(names) {
+        const manager = global.workspace_manager;
+        const isolated = this._getIsolatedWorkspaces();
+        const count = manager.get_n_workspaces();
+
+        for (let i = 0; i < count; i++) {
+            const workspace = manager.get_workspace_by_index(i);
+            // An isolated workspace shows our name, not the user's
+            if (!isolated.has(workspace)) {
+                this._baseline.set(workspace, names[i] ?? '');
+            }
+        }
+
+        this._spareNames = names.slice(count);
+    }
+
+    /**
+     * Coalesces the bursts of reorders a placement makes into one write
+     * @private
+     */
+    _queueSync() {
+        if (this._syncSourceId) {
+            return;
+        }
+
+        this._syncSourceId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._syncSourceId = 0;
+            this._sync();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _sync() {
+        const enabled = this._isEnabled();
+
+        // Nothing of ours to undo
+        if (!enabled && !this._named) {
+            return;
+        }
+
+        this._writeNames(enabled ? this._getIsolatedWorkspaces() : new Map());
+        this._named = enabled;
+    }
+
+    /**
+     * Writes the user's names with isolated workspaces named after their apps
+     * @private
+     * @param {Map<Object, string>} isolated - Isolated workspace to app name
+     */
+    _writeNames(isolated) {
+        const manager = global.workspace_manager;
+        const names = [];
+
+        for (let i = 0; i < manager.get_n_workspaces(); i++) {
+            const workspace = manager.get_workspace_by_index(i);
+            names.push(isolated.get(workspace) ?? this._baseline.get(workspace) ?? '');
+        }
+        names.push(...this._spareNames);
+
+        while (names.length > 0 && names[names.length - 1] === '') {
+            names.pop();
+        }
+
+        const current = this._wmSettings.get_strv(ExtensionConstants.SETTING_WORKSPACE_NAMES);
+        if (!this._sameNames(current, names)) {
+            this._pendingWrites.push(names);
+            this._wmSettings.set_strv(ExtensionConstants.SETTING_WORKSPACE_NAMES, names);
+        }
+    }
+
+    /**
+     * Maps each isolated workspace to the names of the apps on it
+     * @private
+     * @returns {Map<Object, string>}
+     */
+    _getIsolatedWorkspaces() {
+        const appNames = new Map();
+
+        this._placementHandler.getPlacedWindows().forEach(({ window }) => {
+            const workspace = window.get_workspace();
+            if (!workspace) {
+                return;
+            }
+
+            const names = appNames.get(workspace) ?? [];
+            const appName = this._getAppName(window);
+            if (!names.includes(appName)) {
+                names.push(appName);
+            }
+            appNames.set(workspace, names);
+        });
+
+        return new Map([...appNames].map(([workspace, names]) => [workspace, names.join(', ')]));
+    }
+
+    _getAppName(window) {
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        return app?.get_name() || window.get_title() || ExtensionConstants.NAME;
+    }
+
+    _isEnabled() {
+        const schema = this._settings?.settings_schema;
+        if (!schema?.has_key?.(ExtensionConstants.SETTING_NAME_ISOLATED_WORKSPACES)) {
+            return false;
+        }
+
+        return this._settings.get_boolean(ExtensionConstants.SETTING_NAME_ISOLATED_WORKSPACES);
+    }
+
+    _sameNames(names, otherNames) {
+        return names.length === otherNames.length &&
+               names.every((name, index) => name === otherNames[index]);
+    }
+
+    /**
+     * Cleanup resources, putting the user's names back
+     */
+    destroy() {
+        if (this._syncSourceId) {
+            GLib.source_remove(this._syncSourceId);
+            this._syncSourceId = 0;
+        }
+
+        this._placementSignals.forEach(handle => this._placementHandler.disconnect(handle));
+        this._placementSignals = [];
+        this._workspaceSignals.forEach(handle => global.workspace_manager.disconnect(handle));
+        this._workspaceSignals = [];
+        this._settingsSignals.forEach(handle => this._settings.disconnect(handle));
+        this._settingsSignals = [];
+        this._wmSettings.disconnect(this._wmSettingsSignal);
+
+        if (this._named) {
+            this._writeNames(new Map());
+            this._named = false;
+        }
+
+        this._baseline.clear();
+        this._handoffs.clear();
+        this._pendingWrites = [];
+        this._wmSettings = null;
+        this._placementHandler = null;
+        this._settings = null;
+    }
+}